@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/* eslint-env node */
+// bin/scholomance.js
+
+/**
+ * Scholomance CLI
+ * Runs the Read page's scroll analysis over text files from the terminal,
+ * or serves it over HTTP (see src/lib/analysis.server.js).
+ *
+ *   scholomance analyze verse.txt [more.txt ...] [--format table|json] [--dialect <id>]
+ *   cat verse.txt | scholomance analyze -
+ *   scholomance serve [--port 4310] [--host 127.0.0.1]
+ *
+ * Pronunciations come from public/lexicon (npm run build:lexicon); without
+ * it every word falls back to spelling rules.
+ */
+
+import { readFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { PhonemeEngine } from "../src/lib/phoneme.engine.js";
+import { createFileLoader } from "../src/lib/nodeAssets.js";
+import { analyzeScroll } from "../src/lib/scrollAnalysis.js";
+import { buildScrollReport } from "../src/lib/scrollReport.js";
+import { createAnalysisServer } from "../src/lib/analysis.server.js";
+import { DIALECTS, DEFAULT_DIALECT } from "../src/data/dialects.js";
+
+const FORMATS = ["table", "json"];
+const DEFAULT_PORT = 4310;
+const DEFAULT_HOST = "127.0.0.1";
+
+const USAGE = `Usage: scholomance analyze <file...> [options]
+       scholomance serve [options]
+
+analyze  Analyzes lyric files: per-word vowel family, phonemes and rhyme
+         key, the rhyme scheme of each line, and summary stats. Use "-" to
+         read stdin.
+serve    Serves the analysis as JSON over HTTP (POST /analyze, POST /score,
+         GET /rhymes/:word, GET /health).
+
+Options:
+  --format <table|json>  analyze: output format (default: table)
+  --dialect <id>         analyze: dialect pack, one of
+                         ${DIALECTS.map((d) => d.id).join(", ")}
+                         (default: ${DEFAULT_DIALECT})
+  --port <n>             serve: port (default: ${DEFAULT_PORT})
+  --host <address>       serve: interface to bind (default: ${DEFAULT_HOST})
+  -h, --help             Show this help
+`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    files: [],
+    format: "table",
+    dialect: DEFAULT_DIALECT,
+    port: DEFAULT_PORT,
+    host: DEFAULT_HOST,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith("--") ? arg.split("=", 2) : [arg];
+    const value = () => {
+      const next = inline ?? argv[++i];
+      if (next === undefined) throw new UsageError(`${flag} needs a value`);
+      return next;
+    };
+
+    if (flag === "-h" || flag === "--help") options.help = true;
+    else if (flag === "--format") options.format = value();
+    else if (flag === "--dialect") options.dialect = value();
+    else if (flag === "--port") options.port = Number(value());
+    else if (flag === "--host") options.host = value();
+    else if (arg.startsWith("-") && arg !== "-") throw new UsageError(`Unknown option ${arg}`);
+    else if (!options.command) options.command = arg;
+    else options.files.push(arg);
+  }
+
+  if (options.help) return options;
+  if (options.command === "serve") {
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+      throw new UsageError("--port must be a port number");
+    }
+    return options;
+  }
+  if (options.command !== "analyze") {
+    throw new UsageError(options.command ? `Unknown command "${options.command}"` : "Missing command");
+  }
+  if (options.files.length === 0) throw new UsageError("No input files");
+  if (!FORMATS.includes(options.format)) {
+    throw new UsageError(`--format must be one of: ${FORMATS.join(", ")}`);
+  }
+  if (!DIALECTS.some((d) => d.id === options.dialect)) {
+    throw new UsageError(`Unknown dialect "${options.dialect}"`);
+  }
+  return options;
+}
+
+async function readInput(file) {
+  if (file !== "-") return readFile(file, "utf8");
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+function table(rows) {
+  const widths = rows[0].map((_, c) => Math.max(...rows.map((row) => String(row[c]).length)));
+  return rows
+    .map((row) => row.map((cell, c) => String(cell).padEnd(widths[c])).join("  ").trimEnd())
+    .join("\n");
+}
+
+function formatTable({ file, dialect, report }) {
+  const { lines, stanzas, summary } = report;
+  const out = [`${file} (${DIALECTS.find((d) => d.id === dialect).name})`, ""];
+
+  out.push(
+    table([
+      ["LINE", "RHYME", "SYL", "DENSITY", "TEXT"],
+      ...lines.map((l) => [
+        l.line,
+        l.tier ? `${l.letter} ${l.tier}` : l.letter,
+        l.cadenceFlag ? `${l.syllables} ${l.cadenceFlag}` : l.syllables,
+        percent(l.density),
+        l.text.trim(),
+      ]),
+    ]),
+    ""
+  );
+
+  out.push(
+    table([
+      ["LINE", "WORD", "FAMILY", "RHYME KEY", "SYL", "PHONEMES"],
+      ...lines.flatMap((l) =>
+        l.words.map((w) => [l.line, w.token, w.vowelFamily, w.rhymeKey, w.syllables, w.phonemes.join(" ")])
+      ),
+    ]),
+    ""
+  );
+
+  const chain = summary.longestChain;
+  out.push(
+    table([
+      ["Scheme", stanzas.map((s) => (s.pattern ? `${s.scheme} (${s.pattern})` : s.scheme)).join("  ")],
+      ["Lines", summary.lines],
+      ["Words", summary.words],
+      ["Syllables", summary.syllables],
+      ["Rhyme density", percent(summary.rhymeDensity)],
+      ["Internal rhymes", summary.internalRhymes],
+      ["Longest chain", chain ? `${chain.length} bars from line ${chain.startLine + 1} (${chain.rhyme})` : "-"],
+      ["Top vowel", summary.dominantFamily ? `${summary.dominantFamily.family} (${summary.dominantFamily.count})` : "-"],
+      ["Alliteration", `${summary.alliterations} ${summary.alliterations === 1 ? "run" : "runs"}`],
+      [
+        "Cadence",
+        `${summary.syllablesPerBar.toFixed(1)} syl/bar, sd ${summary.syllableStdDev.toFixed(1)}, ` +
+          `${summary.unevenBars} uneven`,
+      ],
+    ])
+  );
+
+  return out.join("\n");
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  await PhonemeEngine.init({ loadAsset: createFileLoader(), silent: true });
+
+  if (options.command === "serve") {
+    const server = createAnalysisServer();
+    server.listen(options.port, options.host, () => {
+      const { address, port } = server.address();
+      process.stderr.write(`scholomance: serving analysis on http://${address}:${port}\n`);
+    });
+    return;
+  }
+
+  await PhonemeEngine.setDialect(options.dialect);
+
+  const results = [];
+  for (const file of options.files) {
+    const content = await readInput(file);
+    const analysis = await analyzeScroll(content);
+    results.push({
+      file: file === "-" ? "stdin" : basename(file),
+      dialect: options.dialect,
+      report: buildScrollReport(content, analysis),
+    });
+  }
+
+  if (options.format === "json") {
+    const output = results.map(({ file, dialect, report }) => ({ file, dialect, ...report }));
+    process.stdout.write(`${JSON.stringify(output.length === 1 ? output[0] : output, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${results.map(formatTable).join("\n\n")}\n`);
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  if (err instanceof UsageError) {
+    process.stderr.write(`scholomance: ${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else {
+    process.stderr.write(`scholomance: ${err.message}\n`);
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,94 @@
+/* eslint-env node */
+// scripts/build-lexicon.js
+
+/**
+ * Builds the offline pronunciation lexicon served from public/lexicon/.
+ * Source: CMU Pronouncing Dictionary (ARPAbet with stress markers).
+ *
+ * Output:
+ *   public/lexicon/manifest.json  - version, word count and shard list
+ *   public/lexicon/<shard>.json   - { "WORD": "W ER1 D", ... }, one shard per
+ *                                    initial letter ("_" for everything else)
+ *   public/lexicon/common.json    - [ "WORD", ... ], the words in everyday use,
+ *                                    most used first
+ *
+ * Only the first listed pronunciation of each word is kept. A word is in
+ * everyday use when it was heard, in lower case, at least MIN_COMMON_COUNT
+ * times in the SUBTLEX-US film subtitle corpus (subtlex-word-frequencies),
+ * or is a contraction of such a word ("i'm"); searches use this to leave
+ * out names and oddities the CMU dictionary also lists ("beim", "il").
+ */
+
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createRequire } from "node:module";
+import { dictionary } from "cmu-pronouncing-dictionary";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const OUT_DIR = join(ROOT, "public", "lexicon");
+
+// Same character set the Read page keeps when cleaning words.
+const WORD_PATTERN = /^[a-z']+$/;
+const MIN_COMMON_COUNT = 5;
+
+// "i'm" -> "i", "can't" -> "can", "dogs'" -> "dogs"; undefined for others
+const contractedWord = (word) => word.match(/^(.+?)(?:'(?:s|m|re|ve|ll|d|t)|')$/)?.[1];
+
+function getShardKey(word) {
+  const first = word[0]?.toLowerCase();
+  return first && first >= "a" && first <= "z" ? first : "_";
+}
+
+function readSourceVersion() {
+  const require = createRequire(import.meta.url);
+  const pkgPath = require.resolve("cmu-pronouncing-dictionary/package.json");
+  return JSON.parse(readFileSync(pkgPath, "utf8")).version;
+}
+
+function build() {
+  const frequencies = createRequire(import.meta.url)("subtlex-word-frequencies");
+  const shards = {};
+  // word -> rank, most used first; capitalized entries are names, but for "I"
+  const heard = new Map(
+    frequencies
+      .filter(({ word, count }) => count >= MIN_COMMON_COUNT && (word === word.toLowerCase() || word === "I"))
+      .map(({ word }, rank) => [word.toLowerCase(), rank])
+  );
+  const common = [];
+  let count = 0;
+
+  for (const [word, pronunciation] of Object.entries(dictionary)) {
+    if (!WORD_PATTERN.test(word)) continue;
+    const key = getShardKey(word);
+    shards[key] ??= {};
+    shards[key][word.toUpperCase()] = pronunciation;
+    count++;
+    const rank = heard.get(word) ?? heard.get(contractedWord(word));
+    if (rank !== undefined) common.push({ word: word.toUpperCase(), rank });
+  }
+
+  rmSync(OUT_DIR, { recursive: true, force: true });
+  mkdirSync(OUT_DIR, { recursive: true });
+
+  const keys = Object.keys(shards).sort();
+  for (const key of keys) {
+    writeFileSync(join(OUT_DIR, `${key}.json`), JSON.stringify(shards[key]));
+  }
+  common.sort((a, b) => a.rank - b.rank || a.word.localeCompare(b.word));
+  writeFileSync(join(OUT_DIR, "common.json"), JSON.stringify(common.map(({ word }) => word)));
+
+  const manifest = {
+    id: "ST-XPD-LEXICON",
+    source: "cmudict",
+    version: readSourceVersion(),
+    words: count,
+    commonWords: common.length,
+    shards: keys,
+  };
+  writeFileSync(join(OUT_DIR, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+  console.log(`Lexicon built: ${count} words in ${keys.length} shards.`);
+}
+
+build();
@@ -0,0 +1,161 @@
+/* eslint-env node */
+// scripts/build-thesaurus.js
+
+/**
+ * Builds the offline thesaurus served from public/thesaurus/, the last
+ * fallback for definitions, synonyms, antonyms and hypernyms.
+ * Source: WordNet 3.1 (wordnet-db).
+ *
+ * Output:
+ *   public/thesaurus/manifest.json  - version, word count and shard list
+ *   public/thesaurus/<shard>.json   - { "word": [sense, ...] }, one shard per
+ *                                      initial letter
+ *
+ * A sense is { p, d, s?, a?, h? }: part of speech (n, v, a, r), definition,
+ * then synonyms, antonyms and hypernyms where it has any. To stay compact
+ * only single words the pronunciation lexicon knows are kept, with their
+ * MAX_SENSES most frequent senses per part of speech and no usage examples.
+ */
+
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createRequire } from "node:module";
+import { dictionary } from "cmu-pronouncing-dictionary";
+
+const require = createRequire(import.meta.url);
+const wordnet = require("wordnet-db");
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const OUT_DIR = join(ROOT, "public", "thesaurus");
+
+const PARTS_OF_SPEECH = { noun: "n", verb: "v", adj: "a", adv: "r" };
+const MAX_SENSES = 3;
+const MAX_RELATED = 6;
+
+const WORD_PATTERN = /^[a-z][a-z']*$/;
+
+// "kick_the_bucket" -> "kick the bucket"; adjective markers like "(a)" go
+const lemmaText = (lemma) => lemma.replace(/\(\w+\)$/, "").replace(/_/g, " ");
+
+/**
+ * Reads a data.<pos> file into offset -> synset.
+ * @returns {Map<string, { words: string[], pointers: { symbol: string, offset: string, pos: string, source: number, target: number }[], gloss: string }>}
+ */
+function readSynsets(file) {
+  const synsets = new Map();
+  readFileSync(join(wordnet.path, file), "utf8")
+    .split("\n")
+    .forEach((line) => {
+      if (!line || line.startsWith("  ")) return; // license header
+      const [fields, ...glossParts] = line.split(" | ");
+      const parts = fields.trim().split(" ");
+      const wordCount = parseInt(parts[3], 16);
+      const words = [];
+      let i = 4;
+      for (let w = 0; w < wordCount; w++, i += 2) words.push(lemmaText(parts[i]));
+
+      const pointerCount = parseInt(parts[i++], 10);
+      const pointers = [];
+      for (let p = 0; p < pointerCount; p++, i += 4) {
+        const link = parts[i + 3];
+        pointers.push({
+          symbol: parts[i],
+          offset: parts[i + 1],
+          pos: parts[i + 2],
+          source: parseInt(link.slice(0, 2), 16),
+          target: parseInt(link.slice(2), 16),
+        });
+      }
+
+      // Usage examples follow the definition as quoted clauses
+      const gloss = glossParts.join(" | ").split(/;\s*"/)[0].trim();
+      synsets.set(parts[0], { words, pointers, gloss });
+    });
+  return synsets;
+}
+
+/**
+ * Reads an index.<pos> file into lemma -> synset offsets, most frequent first.
+ */
+function readIndex(file) {
+  const index = new Map();
+  readFileSync(join(wordnet.path, file), "utf8")
+    .split("\n")
+    .forEach((line) => {
+      if (!line || line.startsWith("  ")) return;
+      const parts = line.trim().split(" ");
+      const synsetCount = parseInt(parts[2], 10);
+      index.set(parts[0], parts.slice(parts.length - synsetCount));
+    });
+  return index;
+}
+
+function build() {
+  const known = new Set(Object.keys(dictionary));
+  const synsets = {};
+  const indexes = {};
+  for (const [name, pos] of Object.entries(PARTS_OF_SPEECH)) {
+    synsets[pos] = readSynsets(`data.${name}`);
+    indexes[pos] = readIndex(`index.${name}`);
+  }
+  // Satellite adjectives ("s") live in data.adj
+  const synsetAt = (offset, pos) => synsets[pos === "s" ? "a" : pos].get(offset);
+  const unique = (words, lemma) => [...new Set(words)].filter((w) => w.toLowerCase() !== lemma).slice(0, MAX_RELATED);
+
+  const shards = {};
+  let count = 0;
+
+  for (const [pos, index] of Object.entries(indexes)) {
+    for (const [lemma, offsets] of index) {
+      if (!WORD_PATTERN.test(lemma) || !known.has(lemma)) continue;
+
+      const senses = offsets.slice(0, MAX_SENSES).map((offset) => {
+        const synset = synsetAt(offset, pos);
+        const position = synset.words.findIndex((w) => w.toLowerCase() === lemma) + 1;
+        const related = (symbols, lexical) =>
+          synset.pointers
+            .filter((p) => symbols.includes(p.symbol) && (!lexical || p.source === 0 || p.source === position))
+            .map((p) => {
+              const other = synsetAt(p.offset, p.pos);
+              return p.target > 0 ? other.words[p.target - 1] : other.words[0];
+            });
+
+        const sense = { p: pos, d: synset.gloss };
+        const synonyms = unique(synset.words, lemma);
+        const antonyms = unique(related(["!"], true), lemma);
+        const hypernyms = unique(related(["@", "@i"], false), lemma);
+        if (synonyms.length > 0) sense.s = synonyms;
+        if (antonyms.length > 0) sense.a = antonyms;
+        if (hypernyms.length > 0) sense.h = hypernyms;
+        return sense;
+      });
+
+      // Null prototype: "constructor" is a word too
+      const shard = (shards[lemma[0]] ??= Object.create(null));
+      if (!shard[lemma]) count++;
+      shard[lemma] = [...(shard[lemma] || []), ...senses];
+    }
+  }
+
+  rmSync(OUT_DIR, { recursive: true, force: true });
+  mkdirSync(OUT_DIR, { recursive: true });
+
+  const keys = Object.keys(shards).sort();
+  for (const key of keys) {
+    writeFileSync(join(OUT_DIR, `${key}.json`), JSON.stringify(shards[key]));
+  }
+
+  const manifest = {
+    id: "ST-XPD-THESAURUS",
+    source: "wordnet",
+    version: `${wordnet.version} (wordnet-db ${wordnet.libVersion})`,
+    words: count,
+    shards: keys,
+  };
+  writeFileSync(join(OUT_DIR, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+  console.log(`Thesaurus built: ${count} words in ${keys.length} shards.`);
+}
+
+build();
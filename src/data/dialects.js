@@ -0,0 +1,16 @@
+// src/data/dialects.js
+
+/**
+ * Dialect packs shipped in public/dialects/. Each scroll stores the id of
+ * the pack it is read in; scrolls without one use DEFAULT_DIALECT.
+ * Bump a pack's meta.version when editing its aliases or rewrites, so analyses
+ * persisted under the old version are not reused.
+ */
+
+export const DEFAULT_DIALECT = "general-american";
+
+export const DIALECTS = [
+  { id: "general-american", name: "General American" },
+  { id: "southern-us", name: "Southern US" },
+  { id: "uk-rp", name: "UK Received Pronunciation" },
+];
@@ -39,6 +39,7 @@ export const LINKS = [
   { id: "watch", path: "/watch", label: "Watch" },
   { id: "listen", path: "/listen", label: "Listen" },
   { id: "read", path: "/read", label: "Read" },
+  { id: "settings", path: "/settings", label: "Settings" },
 ];
 
 // Dynamically generate COLORS from SCHOOLS source of truth
@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useState } from "react";
+import { PhonemeEngine } from "../lib/phoneme.engine";
+import { AnalysisClient } from "../lib/analysis.client";
+import { serializeOverrides, parseOverrides } from "../lib/pronunciationOverrides";
+
+const STORAGE_KEY = "scholomance-pronunciations";
+
+/**
+ * User pronunciation overrides, persisted locally and pushed into both
+ * phoneme engines (main thread and worker) whenever they change.
+ *
+ * overrides: { WORD: "ARPAbet phonemes" }
+ */
+export function usePronunciationOverrides() {
+  const [overrides, setOverrides] = useState(() => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      try {
+        return JSON.parse(stored) || {};
+      } catch (e) {
+        console.warn("Failed to parse pronunciation overrides:", e);
+      }
+    }
+    return {};
+  });
+
+  // Persist changes
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  }, [overrides]);
+
+  useEffect(() => {
+    PhonemeEngine.setOverrides(overrides);
+    AnalysisClient.setOverrides(overrides);
+  }, [overrides]);
+
+  /** @throws {Error} when the pronunciation is not valid ARPAbet */
+  const setOverride = useCallback(
+    (word, pronunciation) => {
+      const phonemes = PhonemeEngine.parsePronunciation(pronunciation).join(" ");
+      setOverrides((prev) => ({ ...prev, [word.toUpperCase()]: phonemes }));
+    },
+    [setOverrides]
+  );
+
+  const removeOverride = useCallback(
+    (word) => {
+      setOverrides((prev) => {
+        const next = { ...prev };
+        delete next[word.toUpperCase()];
+        return next;
+      });
+    },
+    [setOverrides]
+  );
+
+  const exportOverrides = useCallback(() => serializeOverrides(overrides), [overrides]);
+
+  /**
+   * Merges an overrides file into the current set; imported words win.
+   * @returns {number} How many overrides the file held
+   * @throws {Error} when the file is malformed (nothing is imported)
+   */
+  const importOverrides = useCallback(
+    (text) => {
+      const imported = parseOverrides(text);
+      setOverrides((prev) => ({ ...prev, ...imported }));
+      return Object.keys(imported).length;
+    },
+    [setOverrides]
+  );
+
+  return {
+    overrides,
+    setOverride,
+    removeOverride,
+    exportOverrides,
+    importOverrides,
+  };
+}
@@ -1,5 +1,4 @@
-import { useCallback, useMemo } from "react";
-import { useLocalStorage } from "react-use";
+import { useCallback, useEffect, useMemo, useState } from "react";
 
 const STORAGE_KEY = "scholomance-scrolls";
 
@@ -9,6 +8,7 @@ const STORAGE_KEY = "scholomance-scrolls";
  *   id: string,
  *   title: string,
  *   content: string,
+ *   dialect?: string, // dialect pack id, see data/dialects.js
  *   createdAt: number,
  *   updatedAt: number
  * }
@@ -17,7 +17,24 @@ const STORAGE_KEY = "scholomance-scrolls";
 const generateId = () => `scroll-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
 
 export function useScrolls() {
-  const [scrolls, setScrolls] = useLocalStorage(STORAGE_KEY, []);
+  // Plain state: react-use's useLocalStorage hands updaters the state from
+  // mount, so a dialect change or save would undo earlier ones
+  const [scrolls, setScrolls] = useState(() => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      try {
+        return JSON.parse(stored) || [];
+      } catch (e) {
+        console.warn("Failed to parse scrolls:", e);
+      }
+    }
+    return [];
+  });
+
+  // Persist changes
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scrolls));
+  }, [scrolls]);
 
   const createScroll = useCallback(
     (title, content) => {
@@ -0,0 +1,72 @@
+// src/lib/alliteration.js
+
+/**
+ * Alliteration
+ * Runs of words in a bar that open on the same onset group (dictionary
+ * consonant_groups.onset_groups, so "big pig" and "cold grave" count).
+ * Ghost-only words ("a", "the") and tokens with nothing to say ("—") sit
+ * inside a run without breaking it; any other word with a different onset,
+ * or a vowel onset, ends it.
+ *
+ * Words must already be analyzable: call engine.ensureWords() first.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { normalizeText } from "./textNormalizer.js";
+import { splitBars } from "./rhymeScheme.js";
+import { runSteps } from "./steps.js";
+
+const MIN_RUN = 2;
+
+function isStressed(analysis) {
+  return analysis?.syllables?.some((s) => s.stress !== "L");
+}
+
+/**
+ * @param {string} content - Scroll content
+ * @returns {{
+ *   runs: { line: number, group: string, tokens: number[], words: string[] }[],
+ *   words: number
+ * }}
+ *   line: line index in content; tokens: indexes of the run's tokens among
+ *   the line's whitespace-separated tokens; words: those tokens as written.
+ *   words (total): tokens in any run.
+ */
+export function detectAlliteration(content, engine = PhonemeEngine) {
+  return runSteps(alliterationSteps(content, engine));
+}
+
+/**
+ * detectAlliteration() one bar at a time (see steps.js).
+ */
+export function* alliterationSteps(content, engine = PhonemeEngine) {
+  const runs = [];
+
+  for (const bar of splitBars(content)) {
+    let run = null;
+    const close = () => {
+      if (run && run.tokens.length >= MIN_RUN) runs.push(run);
+      run = null;
+    };
+
+    normalizeText(bar.text).forEach((token, i) => {
+      if (token.words.length === 0) return;
+      const analysis = engine.analyzePhrase(token.words);
+      const group = engine.getOnsetGroup(analysis?.onset ?? null);
+
+      if (group && group === run?.group) {
+        run.tokens.push(i);
+        run.words.push(token.text);
+        return;
+      }
+      if (!isStressed(analysis)) return;
+
+      close();
+      if (group) run = { line: bar.index, group, tokens: [i], words: [token.text] };
+    });
+    close();
+    yield;
+  }
+
+  return { runs, words: runs.reduce((sum, run) => sum + run.tokens.length, 0) };
+}
@@ -0,0 +1,156 @@
+// src/lib/analysis.client.js
+
+/**
+ * Analysis Client
+ * Async, cancellable front door to the phoneme worker. One worker is shared
+ * by the whole app and started on first use. Where Web Workers are not
+ * available the same pipeline runs on the main thread.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { analyzeScroll, AnalysisCancelledError } from "./scrollAnalysis.js";
+import { RhymeIndex } from "./rhymeIndex.js";
+import { Wordplay } from "./wordplay.js";
+import { suggestLineEndings } from "./rhymeSuggest.js";
+
+export { AnalysisCancelledError };
+
+let worker = null;
+let nextId = 0;
+const jobs = new Map();
+let overrides = {};
+
+function getWorker() {
+  if (worker || typeof Worker === "undefined") return worker;
+
+  worker = new Worker(new URL("./phoneme.worker.js", import.meta.url), { type: "module" });
+  worker.onmessage = (event) => {
+    const { type, id, ...data } = event.data;
+    const job = jobs.get(id);
+    if (!job) return;
+
+    if (type === "progress") {
+      job.onProgress?.({ stage: data.stage, progress: data.progress });
+      return;
+    }
+
+    jobs.delete(id);
+    if (type === "result") job.resolve(data.result);
+    else if (type === "cancelled") job.reject(new AnalysisCancelledError());
+    else job.reject(new Error(data.message || "Phoneme worker job failed"));
+  };
+  worker.onerror = (event) => {
+    console.warn("Phoneme worker error:", event.message);
+    jobs.forEach((job) => job.reject(new Error("Phoneme worker crashed")));
+    jobs.clear();
+    worker = null;
+  };
+  worker.postMessage({ type: "overrides", overrides });
+  return worker;
+}
+
+export const AnalysisClient = {
+  /**
+   * Hands the user's pronunciation overrides to the worker's engine (the
+   * main-thread engine is updated by the caller).
+   * @param {Object<string, string>} next - { WORD: "ARPAbet phonemes" }
+   */
+  setOverrides(next) {
+    overrides = next || {};
+    worker?.postMessage({ type: "overrides", overrides });
+  },
+
+  /**
+   * Analyzes a whole scroll off the main thread.
+   * @param {string} content - Scroll content
+   * @param {{ signal?: AbortSignal, onProgress?: (p: { stage: string, progress: number }) => void, dialect?: string }} [options]
+   *   dialect: pack id the scroll is read in (see data/dialects.js)
+   * @returns {Promise<{ words: object, scheme: object, metrics: object, multis: object[], cadence: object, alliteration: object }>}
+   *   Rejects with AnalysisCancelledError when the signal aborts.
+   */
+  async analyzeScroll(content, { signal, onProgress, dialect } = {}) {
+    if (signal?.aborted) throw new AnalysisCancelledError();
+
+    const target = getWorker();
+    if (!target) {
+      return PhonemeEngine.withDialect(dialect, () =>
+        analyzeScroll(content, { onProgress, isCancelled: () => !!signal?.aborted })
+      );
+    }
+
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      jobs.set(id, { resolve, reject, onProgress });
+      target.postMessage({ type: "analyze", id, content, dialect });
+
+      signal?.addEventListener(
+        "abort",
+        () => {
+          if (!jobs.has(id)) return;
+          jobs.delete(id);
+          target.postMessage({ type: "cancel", id });
+          reject(new AnalysisCancelledError());
+        },
+        { once: true }
+      );
+    });
+  },
+
+  /**
+   * Ranked rhymes from the offline index (see rhymeIndex.js).
+   * @param {string} word
+   * @param {{ tier?: string, syllables?: number, limit?: number, dialect?: string }} [options]
+   * @returns {Promise<{ word: string, score: number, tier: string, syllables: number }[]>}
+   */
+  async findRhymes(word, { dialect, ...options } = {}) {
+    const target = getWorker();
+    if (!target) {
+      return PhonemeEngine.withDialect(dialect, () => RhymeIndex.findRhymes(word, options));
+    }
+
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      jobs.set(id, { resolve, reject });
+      target.postMessage({ type: "findRhymes", id, word, options, dialect });
+    });
+  },
+
+  /**
+   * Rhyming endings for the bar after `bar` (see rhymeSuggest.js).
+   * @param {string} bar - Text of the previous bar
+   * @param {{ vocabulary?: string[], limit?: number, dialect?: string }} [options]
+   * @returns {Promise<{ target: string|null, groups: { tier: string, suggestions: object[] }[] }>}
+   */
+  async suggestLineEndings(bar, { dialect, ...options } = {}) {
+    const target = getWorker();
+    if (!target) {
+      return PhonemeEngine.withDialect(dialect, () => suggestLineEndings(bar, options));
+    }
+
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      jobs.set(id, { resolve, reject });
+      target.postMessage({ type: "suggestEndings", id, bar, options, dialect });
+    });
+  },
+
+  /**
+   * Homophones, near homophones and re-cut phrases that sound like a word
+   * or phrase (see wordplay.js).
+   * @param {string[]} words - Spoken words, see textNormalizer.js
+   * @param {{ limit?: number, dialect?: string }} [options]
+   * @returns {Promise<{ homophones: string[], nearHomophones: object[], splits: object[] }>}
+   */
+  async findWordplay(words, { dialect, ...options } = {}) {
+    const target = getWorker();
+    if (!target) {
+      return PhonemeEngine.withDialect(dialect, () => Wordplay.find(words, options));
+    }
+
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      jobs.set(id, { resolve, reject });
+      target.postMessage({ type: "findWordplay", id, words, options, dialect });
+    });
+  },
+};
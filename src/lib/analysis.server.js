@@ -0,0 +1,212 @@
+/* eslint-env node */
+// src/lib/analysis.server.js
+
+/**
+ * Analysis Server
+ * Small self-hostable HTTP/JSON front for PhonemeEngine, for tools that
+ * cannot run the browser UI (DAW plugins, notebooks).
+ *
+ *   GET  /health                  -> { status, words, dialects }
+ *   POST /analyze  { text, dialect? }
+ *        -> scrollReport (per-line words, scheme, summary)
+ *   POST /score    { a, b, dialect? }
+ *        -> { a, b, score, tier, breakdown, fusionBonus }
+ *   GET  /rhymes/:word?tier=&syllables=&limit=&dialect=
+ *        -> { word, rhymes: [{ word, score, tier, syllables }] }
+ *
+ * Errors are { error } with a 4xx/5xx status. The engine is a singleton
+ * whose dialect is switched per request, so requests run one at a time.
+ * Start it with `scholomance serve`; the engine must be init()ed first.
+ */
+
+import { createServer } from "node:http";
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { analyzeScroll } from "./scrollAnalysis.js";
+import { buildScrollReport } from "./scrollReport.js";
+import { normalizeToken } from "./textNormalizer.js";
+import { RhymeIndex } from "./rhymeIndex.js";
+import { DIALECTS, DEFAULT_DIALECT } from "../data/dialects.js";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_TEXT_LENGTH = 100000;
+const MAX_WORD_LENGTH = 64;
+const RHYME_TIERS = ["perfect", "near", "slant", "assonance", "consonance"];
+const WORD_PATTERN = /^[A-Za-z0-9'$%&@+#.,/-]+$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(payload);
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "Request body too large");
+    chunks.push(chunk);
+  }
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "null");
+    if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error();
+    return body;
+  } catch {
+    throw new HttpError(400, "Body must be a JSON object");
+  }
+}
+
+// --- Validation (allow-lists, see ARCH_CONTRACT_SECURITY.md) ---
+
+function validateDialect(value) {
+  const dialect = value ?? DEFAULT_DIALECT;
+  if (!DIALECTS.some((d) => d.id === dialect)) {
+    throw new HttpError(400, `dialect must be one of: ${DIALECTS.map((d) => d.id).join(", ")}`);
+  }
+  return dialect;
+}
+
+function validateWord(value, name) {
+  if (typeof value !== "string" || !value.trim()) throw new HttpError(400, `${name} must be a word`);
+  const word = value.trim();
+  if (word.length > MAX_WORD_LENGTH || !WORD_PATTERN.test(word)) {
+    throw new HttpError(400, `${name} must be a single word of letters, digits or apostrophes`);
+  }
+  const spoken = normalizeToken(word);
+  if (spoken.length === 0) throw new HttpError(400, `${name} has nothing to pronounce`);
+  return spoken;
+}
+
+function validateInteger(value, name, min, max) {
+  if (value === null || value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new HttpError(400, `${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// --- Routes ---
+
+async function analyze(engine, body) {
+  if (typeof body.text !== "string") throw new HttpError(400, "text must be a string");
+  if (body.text.length > MAX_TEXT_LENGTH) {
+    throw new HttpError(413, `text must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  const dialect = validateDialect(body.dialect);
+
+  await engine.setDialect(dialect);
+  const analysis = await analyzeScroll(body.text, {}, engine);
+  return { dialect, ...buildScrollReport(body.text, analysis) };
+}
+
+async function score(engine, body) {
+  const a = validateWord(body.a, "a");
+  const b = validateWord(body.b, "b");
+  const dialect = validateDialect(body.dialect);
+
+  await engine.setDialect(dialect);
+  await engine.ensureWords([...a, ...b]);
+  const result = engine.scoreAnalyses(engine.analyzePhrase(a), engine.analyzePhrase(b));
+  if (!result) throw new HttpError(503, "Rhyme rules are not loaded");
+  return { a: a.join(" "), b: b.join(" "), dialect, ...result };
+}
+
+async function rhymes(engine, word, query) {
+  const spoken = validateWord(word, "word");
+  const tier = query.get("tier") || undefined;
+  if (tier && !RHYME_TIERS.includes(tier)) {
+    throw new HttpError(400, `tier must be one of: ${RHYME_TIERS.join(", ")}`);
+  }
+  const syllables = validateInteger(query.get("syllables"), "syllables", 1, 12);
+  const limit = validateInteger(query.get("limit"), "limit", 1, 100) ?? 20;
+  const dialect = validateDialect(query.get("dialect") || undefined);
+
+  await engine.setDialect(dialect);
+  // A phrase ("24/7") rhymes on its last word
+  const results = await RhymeIndex.findRhymes(spoken.at(-1), { tier, syllables, limit }, engine);
+  return { word: spoken.join(" "), dialect, rhymes: results };
+}
+
+async function route(engine, req) {
+  const url = new URL(req.url, "http://localhost");
+  const path = url.pathname.replace(/\/+$/, "") || "/";
+  const rhymeMatch = path.match(/^\/rhymes\/([^/]+)$/);
+
+  const allow = (method) => {
+    if (req.method !== method) throw new HttpError(405, `Use ${method} for ${path}`);
+  };
+
+  if (path === "/health") {
+    allow("GET");
+    return {
+      status: "ok",
+      words: engine.LEXICON_MANIFEST?.words ?? 0,
+      dialects: DIALECTS,
+    };
+  }
+  if (path === "/analyze") {
+    allow("POST");
+    return analyze(engine, await readJsonBody(req));
+  }
+  if (path === "/score") {
+    allow("POST");
+    return score(engine, await readJsonBody(req));
+  }
+  if (rhymeMatch) {
+    allow("GET");
+    let word;
+    try {
+      word = decodeURIComponent(rhymeMatch[1]);
+    } catch {
+      throw new HttpError(400, "word is not valid URL encoding");
+    }
+    return rhymes(engine, word, url.searchParams);
+  }
+  throw new HttpError(404, `No route for ${path}`);
+}
+
+/**
+ * @param {{ engine?: object }} [options] - An init()ed engine
+ * @returns {import("node:http").Server} Not yet listening
+ */
+export function createAnalysisServer({ engine = PhonemeEngine } = {}) {
+  let queue = Promise.resolve();
+
+  return createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end();
+      return;
+    }
+
+    const job = queue.then(() => route(engine, req));
+    queue = job.catch(() => {});
+
+    job
+      .then((body) => sendJson(res, 200, body))
+      .catch((err) => {
+        if (err instanceof HttpError) {
+          sendJson(res, err.status, { error: err.message });
+        } else {
+          console.error("Analysis server error:", err);
+          sendJson(res, 500, { error: "Internal server error" });
+        }
+      });
+  });
+}
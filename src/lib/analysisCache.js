@@ -0,0 +1,208 @@
+// src/lib/analysisCache.js
+
+/**
+ * Analysis Cache
+ * Bounded word -> analysis cache behind PhonemeEngine.WORD_CACHE. The
+ * in-memory side evicts the least recently used entry once it is full; where
+ * IndexedDB exists (browser tabs and workers, not Node) settled entries are
+ * also written to one shared database, so a reload starts warm.
+ *
+ * Entries live under a namespace naming everything an analysis depends on
+ * (see PhonemeEngine.cacheNamespace): a new dictionary, lexicon or dialect
+ * pack never sees another's results. Memory holds the active namespace only;
+ * the database keeps every namespace, dropping the oldest writes first once
+ * it grows past its own bound.
+ */
+
+const DB_NAME = "scholomance-analysis";
+const DB_VERSION = 1;
+const STORE = "words";
+const FLUSH_DELAY_MS = 500;
+
+const promised = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const completed = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+function openDatabase() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: ["namespace", "word"] });
+    store.createIndex("storedAt", "storedAt");
+  };
+  return promised(request).catch((err) => {
+    console.warn("AnalysisCache: IndexedDB unavailable, caching in memory only", err);
+    return null;
+  });
+}
+
+export class AnalysisCache {
+  /**
+   * @param {{ maxEntries?: number, maxPersisted?: number, persist?: boolean }} [options]
+   *   maxEntries: in-memory bound; maxPersisted: database bound, across
+   *   namespaces; persist: false keeps everything in memory
+   */
+  constructor({ maxEntries = 20000, maxPersisted = 100000, persist = true } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxPersisted = maxPersisted;
+    this.persistent = persist && typeof indexedDB !== "undefined";
+    this.namespace = "";
+    this.entries = new Map();
+    this.pendingWrites = new Map();
+    this.flushTimer = null;
+    this.database = null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Switches to another namespace, emptying memory (the database keeps the
+   * old namespace's entries for when it comes back).
+   * @param {string} namespace
+   */
+  setNamespace(namespace) {
+    if (namespace === this.namespace) return;
+    this.namespace = namespace;
+    this.entries.clear();
+  }
+
+  has(word) {
+    return this.entries.has(word);
+  }
+
+  get(word) {
+    if (!this.entries.has(word)) return undefined;
+    const value = this.entries.get(word);
+    // Map order is insertion order: re-inserting marks it most recent
+    this.entries.delete(word);
+    this.entries.set(word, value);
+    return value;
+  }
+
+  /**
+   * @param {string} word
+   * @param {object} value - Structured-cloneable analysis
+   * @param {{ persist?: boolean }} [options] - persist: false for results
+   *   that may still change this session (spelling guesses awaiting a shard)
+   */
+  set(word, value, { persist = true } = {}) {
+    this.entries.delete(word);
+    this.entries.set(word, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    if (persist && this.persistent) {
+      const namespace = this.namespace;
+      this.pendingWrites.set(`${namespace}\n${word}`, { namespace, word, value, storedAt: Date.now() });
+      this.flushTimer ??= setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Drops an entry from memory. Persisted entries are only ever replaced or
+   * aged out, so only settled results may be persisted.
+   */
+  delete(word) {
+    this.pendingWrites.delete(`${this.namespace}\n${word}`);
+    return this.entries.delete(word);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  openDatabase() {
+    if (!this.persistent) return Promise.resolve(null);
+    this.database ??= openDatabase();
+    return this.database;
+  }
+
+  /**
+   * Loads persisted entries for words not yet in memory.
+   * @param {string[]} words
+   * @returns {Promise<number>} How many entries were loaded
+   */
+  async hydrate(words) {
+    const namespace = this.namespace;
+    const missing = [...new Set(words)].filter((word) => !this.entries.has(word));
+    if (missing.length === 0) return 0;
+
+    const db = await this.openDatabase();
+    if (!db) return 0;
+
+    try {
+      const store = db.transaction(STORE, "readonly").objectStore(STORE);
+      const records = await Promise.all(missing.map((word) => promised(store.get([namespace, word]))));
+      // The namespace may have switched while the database was read
+      if (namespace !== this.namespace) return 0;
+
+      let loaded = 0;
+      records.forEach((record) => {
+        if (!record || this.entries.has(record.word)) return;
+        this.set(record.word, record.value, { persist: false });
+        loaded++;
+      });
+      return loaded;
+    } catch (err) {
+      console.warn("AnalysisCache: Failed to read persisted analyses", err);
+      return 0;
+    }
+  }
+
+  /**
+   * Writes pending entries now instead of after the batching delay.
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pendingWrites.size === 0) return;
+
+    const batch = [...this.pendingWrites.values()];
+    this.pendingWrites.clear();
+
+    const db = await this.openDatabase();
+    if (!db) return;
+
+    try {
+      const transaction = db.transaction(STORE, "readwrite");
+      const store = transaction.objectStore(STORE);
+      batch.forEach((record) => store.put(record));
+      const countRequest = store.count();
+      await completed(transaction);
+      const excess = countRequest.result - this.maxPersisted;
+      if (excess > 0) await this.prune(db, excess);
+    } catch (err) {
+      console.warn("AnalysisCache: Failed to persist analyses", err);
+    }
+  }
+
+  // Deletes the `excess` oldest persisted entries
+  async prune(db, excess) {
+    const transaction = db.transaction(STORE, "readwrite");
+    const cursorRequest = transaction.objectStore(STORE).index("storedAt").openCursor();
+    let deleted = 0;
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || deleted >= excess) return;
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+    await completed(transaction);
+  }
+}
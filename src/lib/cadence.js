@@ -0,0 +1,90 @@
+// src/lib/cadence.js
+
+/**
+ * Cadence Analysis
+ * Syllables per bar, where the hard attacks land, and how even the bars
+ * are. A bar is flagged when its syllable count strays from the median of
+ * the bars around it (same stanza, up to NEIGHBOUR_SPAN on each side), so one
+ * odd bar does not drag its neighbours into being flagged too.
+ *
+ * Words must already be analyzable: call engine.ensureWords() first.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { toSyllableStream } from "./fusionRhymes.js";
+import { splitBars } from "./rhymeScheme.js";
+import { runSteps } from "./steps.js";
+
+const NEIGHBOUR_SPAN = 2;
+const MIN_DEVIATION = 2; // syllables
+const RELATIVE_DEVIATION = 0.25; // of the neighbour median
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * @param {string} content - Scroll content
+ * @returns {{
+ *   lines: { index: number, stanza: number, syllables: number, stressPattern: string, hardAttacks: number[], neighbourMedian: number|null, deviation: number, flag: "long"|"short"|null }[],
+ *   mean: number,
+ *   variance: number,
+ *   stdDev: number,
+ *   flagged: number
+ * }}
+ */
+export function analyzeCadence(content, engine = PhonemeEngine) {
+  return runSteps(cadenceSteps(content, engine));
+}
+
+/**
+ * analyzeCadence() one bar at a time (see steps.js).
+ */
+export function* cadenceSteps(content, engine = PhonemeEngine) {
+  const bars = [];
+  for (const bar of splitBars(content)) {
+    const stream = toSyllableStream(bar.text, engine);
+    const stressPattern = stream.map((s) => s.stress).join("");
+    bars.push({
+      index: bar.index,
+      stanza: bar.stanza,
+      syllables: stream.length,
+      stressPattern,
+      hardAttacks: [...stressPattern].flatMap((stress, i) => (stress === "H" ? [i] : [])),
+    });
+    yield;
+  }
+
+  const lines = bars.map((bar, i) => {
+    const neighbours = bars.filter(
+      (other, j) => j !== i && Math.abs(j - i) <= NEIGHBOUR_SPAN && other.stanza === bar.stanza
+    );
+    if (neighbours.length === 0) {
+      return { ...bar, neighbourMedian: null, deviation: 0, flag: null };
+    }
+
+    const neighbourMedian = median(neighbours.map((n) => n.syllables));
+    const deviation = bar.syllables - neighbourMedian;
+    const limit = Math.max(MIN_DEVIATION, neighbourMedian * RELATIVE_DEVIATION);
+    let flag = null;
+    if (deviation > limit) flag = "long";
+    if (deviation < -limit) flag = "short";
+
+    return { ...bar, neighbourMedian, deviation, flag };
+  });
+
+  const mean = lines.length ? lines.reduce((sum, l) => sum + l.syllables, 0) / lines.length : 0;
+  const variance = lines.length
+    ? lines.reduce((sum, l) => sum + (l.syllables - mean) ** 2, 0) / lines.length
+    : 0;
+
+  return {
+    lines,
+    mean,
+    variance,
+    stdDev: Math.sqrt(variance),
+    flagged: lines.filter((l) => l.flag).length,
+  };
+}
@@ -0,0 +1,178 @@
+// src/lib/fusionRhymes.js
+
+/**
+ * Fusion (multisyllabic) rhyme detection.
+ * Phrases are flattened into a stream of vowel syllables that ignores word
+ * boundaries, then compared through a sliding window driven by
+ * DICT_V2.fusion_rules. "orange door hinge" and "porridge more binge" match
+ * because their vowel sequences (AO A AO IH) line up, not their spellings.
+ *
+ * Words must already be analyzable: call engine.ensureWords() first so the
+ * lexicon shards are loaded.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { normalizeText } from "./textNormalizer.js";
+import { runSteps } from "./steps.js";
+
+const DEFAULT_RULES = {
+  window_syllables: 3,
+  min_vowel_hits: 2,
+  carry_over_bonus: 1.25,
+  max_magnitude: 2.0,
+};
+
+/**
+ * Spoken words of a text, in order (numerals and symbols expanded, see
+ * textNormalizer.js).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeWords(text) {
+  return normalizeText(text).flatMap((token) => token.words);
+}
+
+/**
+ * Flattens a phrase into one entry per syllable.
+ * @param {string} text
+ * @returns {{ family: string, stress: string, wordIndex: number, word: string }[]}
+ */
+export function toSyllableStream(text, engine = PhonemeEngine) {
+  const stream = [];
+  tokenizeWords(text).forEach((word, wordIndex) => {
+    const analysis = engine.analyzeWord(word);
+    if (!analysis) return;
+    const families = engine.getVowelFamilies(analysis.phonemes);
+    families.forEach((family, i) => {
+      stream.push({
+        family,
+        stress: analysis.syllables?.[i]?.stress ?? "L",
+        wordIndex,
+        word,
+      });
+    });
+  });
+  return stream;
+}
+
+function describeSpan(stream, start, end) {
+  const span = stream.slice(start, end);
+  return {
+    start,
+    end,
+    words: [...new Set(span.map((s) => s.word))],
+    families: span.map((s) => s.family),
+  };
+}
+
+/**
+ * Finds multisyllabic rhymes between two phrases.
+ * Windows of `window_syllables` that share at least `min_vowel_hits` vowel
+ * families are merged along the same alignment into one match, so a four
+ * syllable multi comes back as a single result.
+ *
+ * Magnitude = hits / window size, times `carry_over_bonus` when the match
+ * spans a word boundary and `stressed_alignment_bonus` when every hit lands
+ * on the same stress class, capped at `max_magnitude`.
+ *
+ * @param {string} phraseA
+ * @param {string} phraseB
+ * @returns {{ a: object, b: object, hits: number, length: number, crossesWordBoundary: boolean, magnitude: number }[]}
+ */
+export function matchFusion(phraseA, phraseB, engine = PhonemeEngine) {
+  const rules = { ...DEFAULT_RULES, ...engine.DICT_V2?.fusion_rules };
+  const stressBonus = engine.DICT_V2?.stress?.stressed_alignment_bonus ?? 1;
+  const size = rules.window_syllables;
+
+  const streamA = toSyllableStream(phraseA, engine);
+  const streamB = toSyllableStream(phraseB, engine);
+  if (streamA.length < size || streamB.length < size) return [];
+
+  // Matching windows grouped by alignment (offset of B relative to A)
+  const runs = new Map();
+  for (let i = 0; i <= streamA.length - size; i++) {
+    for (let j = 0; j <= streamB.length - size; j++) {
+      let hits = 0;
+      for (let k = 0; k < size; k++) {
+        if (streamA[i + k].family === streamB[j + k].family) hits++;
+      }
+      if (hits < rules.min_vowel_hits) continue;
+
+      const offset = j - i;
+      const run = runs.get(offset)?.at(-1);
+      if (run && i <= run.endA) {
+        run.endA = i + size;
+      } else {
+        if (!runs.has(offset)) runs.set(offset, []);
+        runs.get(offset).push({ startA: i, endA: i + size, offset });
+      }
+    }
+  }
+
+  const matches = [];
+  for (const run of [...runs.values()].flat()) {
+    // Trim unmatched syllables off both ends of the merged run
+    let { startA, endA } = run;
+    const same = (i) => streamA[i].family === streamB[i + run.offset].family;
+    while (startA < endA && !same(startA)) startA++;
+    while (endA > startA && !same(endA - 1)) endA--;
+
+    const hitIndexes = [];
+    for (let i = startA; i < endA; i++) if (same(i)) hitIndexes.push(i);
+    if (hitIndexes.length < rules.min_vowel_hits) continue;
+
+    const startB = startA + run.offset;
+    const endB = endA + run.offset;
+    const crossesWordBoundary =
+      streamA[startA].wordIndex !== streamA[endA - 1].wordIndex ||
+      streamB[startB].wordIndex !== streamB[endB - 1].wordIndex;
+    const stressAligned = hitIndexes.every(
+      (i) => streamA[i].stress === streamB[i + run.offset].stress
+    );
+
+    let magnitude = hitIndexes.length / size;
+    if (crossesWordBoundary) magnitude *= rules.carry_over_bonus;
+    if (stressAligned) magnitude *= stressBonus;
+
+    matches.push({
+      a: describeSpan(streamA, startA, endA),
+      b: describeSpan(streamB, startB, endB),
+      hits: hitIndexes.length,
+      length: endA - startA,
+      crossesWordBoundary,
+      magnitude: Math.round(Math.min(magnitude, rules.max_magnitude) * 1000) / 1000,
+    });
+  }
+
+  return matches.sort((x, y) => y.magnitude - x.magnitude || y.hits - x.hits);
+}
+
+/**
+ * Scans a verse for multis between each line and the lines that follow it.
+ * @param {string} text - Full scroll content
+ * @param {{ lookahead?: number }} [options] - How many following lines to compare
+ * @returns {{ lineA: number, lineB: number, match: object }[]}
+ */
+export function findFusionRhymes(text, options, engine = PhonemeEngine) {
+  return runSteps(fusionRhymeSteps(text, options, engine));
+}
+
+/**
+ * findFusionRhymes() one line at a time (see steps.js).
+ */
+export function* fusionRhymeSteps(text, { lookahead = 2 } = {}, engine = PhonemeEngine) {
+  const lines = String(text || "").split(/\r?\n/);
+  const results = [];
+
+  for (const [lineA, line] of lines.entries()) {
+    if (!line.trim()) continue;
+    for (let lineB = lineA + 1; lineB <= Math.min(lineA + lookahead, lines.length - 1); lineB++) {
+      if (!lines[lineB].trim()) continue;
+      const [best] = matchFusion(line, lines[lineB], engine);
+      if (best) results.push({ lineA, lineB, match: best });
+    }
+    yield;
+  }
+
+  return results;
+}
@@ -0,0 +1,335 @@
+// src/lib/letterToSound.js
+
+/**
+ * Letter-to-Sound Rules
+ * Rule-based grapheme-to-phoneme conversion for words the lexicon does not
+ * know (slang, names, invented words). Output is ARPAbet with stress digits,
+ * so it feeds PhonemeEngine.analyzePhonemes() exactly like a lexicon entry.
+ *
+ * Pipeline: strip suffixes (restoring a swallowed e) -> mark magic-e ->
+ * scan graphemes (longest rule first) -> assign stress -> append suffix
+ * phonemes.
+ */
+
+const VOWEL_LETTERS = "aeiouy";
+const VOICELESS = ["P", "T", "K", "F", "TH", "HH", "S", "SH", "CH"];
+const SIBILANTS = ["S", "Z", "SH", "ZH", "CH", "JH"];
+const VOWEL_PHONEMES = new Set([
+  "AA", "AE", "AH", "AO", "AW", "AY", "EH", "ER", "EY", "IH", "IY", "OW", "OY", "UH", "UW",
+]);
+
+// Short vowel spelled by a lone letter; long vowel when lengthened by magic-e.
+const SHORT_VOWELS = { a: "AE", e: "EH", i: "IH", o: "AA", u: "AH", y: "IH" };
+const LONG_VOWELS = { a: "EY", e: "IY", i: "AY", o: "OW", u: "UW", y: "AY" };
+
+// Function words that open with a voiced TH.
+const VOICED_TH = new Set([
+  "the", "this", "that", "these", "those", "them", "then", "than", "they", "their",
+  "there", "though", "thus", "thee", "thine", "thou", "thy",
+]);
+
+// Unstressed prefixes: stress moves to the next syllable.
+const UNSTRESSED_PREFIXES = ["be", "de", "re", "a", "con", "com", "ex"];
+
+/**
+ * Grapheme rules, tried longest-first at each position.
+ * `start`/`end` pin a rule to the edges of the stem; `next`/`prev` test the
+ * neighbouring letters.
+ */
+const RULES = [
+  // Vowel patterns
+  { g: "augh", p: ["AO"] },
+  { g: "ough", p: ["AO"], next: /^t/ },
+  { g: "ough", p: ["UW"], prev: /thr$/ },
+  { g: "ough", p: ["AH", "F"], prev: /^(r|t|en)$/ },
+  { g: "ough", p: ["OW"] },
+  { g: "eigh", p: ["EY"] },
+  { g: "igh", p: ["AY"] },
+  { g: "air", p: ["EH", "R"] },
+  { g: "ear", p: ["IH", "R"], end: true },
+  { g: "eer", p: ["IH", "R"] },
+  { g: "oor", p: ["AO", "R"] },
+  { g: "our", p: ["AW", "ER"], end: true },
+  { g: "all", p: ["AO", "L"], end: true },
+  { g: "alk", p: ["AO", "K"] },
+  { g: "old", p: ["OW", "L", "D"] },
+  { g: "ind", p: ["AY", "N", "D"], end: true },
+  { g: "ild", p: ["AY", "L", "D"], end: true },
+  { g: "ar", p: ["AA", "R"] },
+  { g: "or", p: ["AO", "R"] },
+  { g: "er", p: ["ER"] },
+  { g: "ir", p: ["ER"] },
+  { g: "ur", p: ["ER"] },
+  { g: "ee", p: ["IY"] },
+  { g: "ea", p: ["IY"] },
+  { g: "ai", p: ["EY"] },
+  { g: "ay", p: ["EY"] },
+  { g: "ei", p: ["EY"] },
+  { g: "ey", p: ["IY"], end: true, prev: /[aeiouy][^aeiouy]+$/ },
+  { g: "ey", p: ["EY"] },
+  { g: "ie", p: ["AY"], end: true },
+  { g: "ie", p: ["IY"] },
+  { g: "oa", p: ["OW"] },
+  { g: "oe", p: ["OW"], end: true },
+  { g: "oo", p: ["UW"] },
+  { g: "ou", p: ["AW"] },
+  { g: "ow", p: ["OW"], end: true },
+  { g: "ow", p: ["AW"] },
+  { g: "oi", p: ["OY"] },
+  { g: "oy", p: ["OY"] },
+  { g: "au", p: ["AO"] },
+  { g: "aw", p: ["AO"] },
+  { g: "ew", p: ["UW"] },
+  { g: "ue", p: ["UW"] },
+  { g: "ui", p: ["UW"] },
+
+  // Consonant digraphs and silent letters
+  { g: "tch", p: ["CH"] },
+  { g: "dge", p: ["JH"] },
+  { g: "sch", p: ["S", "K"] },
+  // Syllabic L after a consonant: cycle, little
+  { g: "le", p: ["AH", "L"], end: true, prev: /[^aeiouy]$/ },
+  { g: "chr", p: ["K", "R"] },
+  { g: "kn", p: ["N"], start: true },
+  { g: "gn", p: ["N"], start: true },
+  { g: "gn", p: ["N"], end: true },
+  { g: "wr", p: ["R"], start: true },
+  { g: "rh", p: ["R"] },
+  { g: "ps", p: ["S"], start: true },
+  { g: "mb", p: ["M"], end: true },
+  { g: "gh", p: ["G"], start: true },
+  { g: "gh", p: [] },
+  { g: "ph", p: ["F"] },
+  { g: "sh", p: ["SH"] },
+  { g: "ch", p: ["CH"] },
+  { g: "th", p: ["TH"] },
+  { g: "wh", p: ["W"] },
+  { g: "ck", p: ["K"] },
+  { g: "nge", p: ["N", "JH"], end: true },
+  { g: "ng", p: ["NG"] },
+  { g: "nk", p: ["NG", "K"] },
+  { g: "qu", p: ["K", "W"] },
+  { g: "x", p: ["Z"], start: true },
+  { g: "x", p: ["K", "S"] },
+  { g: "c", p: ["S"], next: /^[eiy]/ },
+  { g: "c", p: ["K"] },
+  { g: "g", p: ["JH"], next: /^e$/ },
+  { g: "g", p: ["JH"], next: /^[eiy]/, prev: /[^aeiou]$|^$/ },
+  { g: "g", p: ["G"] },
+  { g: "y", p: ["Y"], start: true, next: /^[aeiou]/ },
+  { g: "j", p: ["JH"] },
+  { g: "s", p: ["Z"], prev: /[aeiou]$/, next: /^[aeiouy]/ },
+
+  // Single letters
+  { g: "b", p: ["B"] },
+  { g: "d", p: ["D"] },
+  { g: "f", p: ["F"] },
+  { g: "h", p: ["HH"] },
+  { g: "k", p: ["K"] },
+  { g: "l", p: ["L"] },
+  // Syllabic M: rhythm, prism
+  { g: "m", p: ["AH", "M"], end: true, prev: /(th|s)$/ },
+  { g: "m", p: ["M"] },
+  { g: "n", p: ["N"] },
+  { g: "p", p: ["P"] },
+  { g: "r", p: ["R"] },
+  { g: "s", p: ["S"] },
+  { g: "t", p: ["T"] },
+  { g: "v", p: ["V"] },
+  { g: "w", p: ["W"] },
+  { g: "z", p: ["Z"] },
+].sort((a, b) => b.g.length - a.g.length);
+
+/**
+ * Suffixes split off before the stem is scanned. `restoreE` marks suffixes
+ * that swallow a magic-e (hope -> hoping), so a stem like "hop" gets it back.
+ */
+const SUFFIXES = [
+  { s: "tion", p: ["SH", "AH0", "N"] },
+  { s: "sion", p: ["ZH", "AH0", "N"] },
+  { s: "ness", p: ["N", "AH0", "S"] },
+  { s: "ment", p: ["M", "AH0", "N", "T"] },
+  { s: "less", p: ["L", "AH0", "S"] },
+  { s: "able", p: ["AH0", "B", "AH0", "L"], restoreE: true },
+  { s: "ful", p: ["F", "AH0", "L"] },
+  { s: "ous", p: ["AH0", "S"] },
+  { s: "ing", p: ["IH0", "NG"], restoreE: true },
+  { s: "est", p: ["AH0", "S", "T"] },
+  { s: "ly", p: ["L", "IY0"] },
+  { s: "ed", p: null, restoreE: true },
+  { s: "er", p: ["ER0"] },
+];
+
+const isVowelLetter = (ch) => VOWEL_LETTERS.includes(ch);
+const countVowelGroups = (text) => (text.match(/[aeiouy]+/g) || []).length;
+
+function splitSuffixes(word) {
+  let stem = word;
+  let plural = null;
+
+  // Inflectional -s / -es (but not "ss", "us", "is")
+  if (/[^sui]s$/.test(stem) && stem.length > 3) {
+    plural = /(ch|sh|x|z|ss)es$/.test(stem) ? "es" : "s";
+    stem = stem.slice(0, -plural.length);
+  }
+
+  for (const suffix of SUFFIXES) {
+    if (!stem.endsWith(suffix.s)) continue;
+    const rest = stem.slice(0, -suffix.s.length);
+    if (rest.length < 2 || countVowelGroups(rest) === 0) continue;
+    return { stem: rest, suffix, plural };
+  }
+
+  return { stem, suffix: null, plural };
+}
+
+/**
+ * Gives back the magic-e a suffix swallowed (hoping -> "hope", raced ->
+ * "race"), so it lengthens the vowel and softens c and g like any other.
+ */
+function restoreSilentE(stem, suffix) {
+  const droppedE =
+    suffix?.restoreE && /(^|[^aeiou])[aeiou][^aeiouwxy]$/.test(stem) && countVowelGroups(stem) === 1;
+  return droppedE ? `${stem}e` : stem;
+}
+
+/**
+ * Finds the index of a vowel lengthened by a silent e, or left open before
+ * a syllabic -le (cycle, title). The e stays in the stem, where it softens
+ * c and g (face, rage) before it is read as silent.
+ * @returns {number} -1 when no vowel is lengthened
+ */
+function findLongVowel(stem) {
+  if (/[aeiouy][^aeiouywx]e$/.test(stem) && countVowelGroups(stem) > 1) {
+    const vowelIndex = stem.length - 3;
+    const beforeVowel = stem[vowelIndex - 1];
+    return beforeVowel && isVowelLetter(beforeVowel) ? -1 : vowelIndex;
+  }
+  if (/(^|[^aeiou])[aeiouy][^aeiouywxl]le$/.test(stem)) return stem.length - 4;
+  return -1;
+}
+
+function scanGraphemes(stem, longIndex, voicedTh) {
+  const phonemes = [];
+  let i = 0;
+
+  while (i < stem.length) {
+    const ch = stem[i];
+    const prev = stem.slice(0, i);
+
+    // Doubled consonants sound once
+    if (ch === stem[i - 1] && !isVowelLetter(ch)) {
+      i++;
+      continue;
+    }
+
+    if (i === longIndex) {
+      phonemes.push(ch === "u" && /[^lrj]$/.test(prev) && prev ? "Y" : null, LONG_VOWELS[ch]);
+      i++;
+      continue;
+    }
+
+    const rule = RULES.find((r) => {
+      if (!stem.startsWith(r.g, i)) return false;
+      const after = stem.slice(i + r.g.length);
+      if (r.start && i !== 0) return false;
+      if (r.end && after !== "") return false;
+      if (r.next && !r.next.test(after)) return false;
+      if (r.prev && !r.prev.test(prev)) return false;
+      return true;
+    });
+
+    if (rule) {
+      if (rule.g === "th" && i === 0 && voicedTh) {
+        phonemes.push("DH");
+      } else {
+        phonemes.push(...rule.p);
+      }
+      i += rule.g.length;
+      continue;
+    }
+
+    if (isVowelLetter(ch)) {
+      const atEnd = i === stem.length - 1;
+      if (ch === "e" && atEnd && phonemes.some((p) => VOWEL_PHONEMES.has(p))) {
+        // Silent final e
+      } else if (atEnd && countVowelGroups(stem) === 1) {
+        // Open monosyllables: go, me, hi, my
+        phonemes.push(LONG_VOWELS[ch]);
+      } else if (atEnd && ch === "y") {
+        phonemes.push("IY");
+      } else if (atEnd && ch === "a") {
+        phonemes.push("AH");
+      } else if (atEnd && ch === "o") {
+        phonemes.push("OW");
+      } else {
+        phonemes.push(SHORT_VOWELS[ch]);
+      }
+    }
+    i++;
+  }
+
+  return phonemes.filter(Boolean);
+}
+
+function assignStress(phonemes, stem) {
+  const vowelPositions = phonemes
+    .map((p, i) => (VOWEL_PHONEMES.has(p) ? i : -1))
+    .filter((i) => i !== -1);
+
+  // A syllabic -le is never the stressed syllable (apple is not a-PPLE)
+  const prefixed =
+    vowelPositions.length > (/[^aeiouy]le$/.test(stem) ? 2 : 1) &&
+    UNSTRESSED_PREFIXES.some((prefix) => stem.startsWith(prefix) && stem.length > prefix.length + 2);
+  const stressed = vowelPositions[prefixed ? 1 : 0];
+
+  return phonemes.map((p, i) => {
+    if (!VOWEL_PHONEMES.has(p)) return p;
+    // The prefix vowel reduces to a schwa (about, connect)
+    if (prefixed && i === vowelPositions[0] && ["AE", "EH", "AA"].includes(p)) return "AH0";
+    return `${p}${i === stressed ? 1 : 0}`;
+  });
+}
+
+function inflectionPhonemes(base, ending) {
+  const last = base[base.length - 1]?.replace(/\d$/, "");
+
+  if (ending === "ed") {
+    if (last === "T" || last === "D") return ["IH0", "D"];
+    return VOICELESS.includes(last) ? ["T"] : ["D"];
+  }
+  if (ending === "es" || SIBILANTS.includes(last)) return ["IH0", "Z"];
+  return VOICELESS.includes(last) ? ["S"] : ["Z"];
+}
+
+/**
+ * Converts a spelling into ARPAbet phonemes with stress digits.
+ * @param {string} word
+ * @returns {string[]} e.g. "knight" -> ["N", "AY1", "T"]
+ */
+export function lettersToPhonemes(word) {
+  const clean = String(word || "").toLowerCase().replace(/[^a-z]/g, "");
+  if (!clean) return [];
+
+  const { stem: rawStem, suffix, plural } = splitSuffixes(clean);
+  const stem = restoreSilentE(rawStem, suffix);
+  const longIndex = findLongVowel(stem);
+  const voicedTh = !suffix && !plural && VOICED_TH.has(clean);
+
+  let phonemes = assignStress(scanGraphemes(stem, longIndex, voicedTh), stem);
+
+  // Words with no spelled vowel still need a nucleus: "skrrt" -> ER, "hmm" -> AH
+  if (!phonemes.some((p) => /\d$/.test(p))) {
+    const r = phonemes.indexOf("R");
+    phonemes = r === -1 ? [...phonemes, "AH1"] : phonemes.map((p, i) => (i === r ? "ER1" : p));
+  }
+
+  if (suffix) {
+    phonemes = [...phonemes, ...(suffix.p || inflectionPhonemes(phonemes, "ed"))];
+  }
+  if (plural) {
+    phonemes = [...phonemes, ...inflectionPhonemes(phonemes, plural)];
+  }
+
+  return phonemes;
+}
@@ -0,0 +1,120 @@
+// src/lib/merriamWebster.js
+
+/**
+ * Merriam-Webster
+ * Reads Collegiate Dictionary API responses
+ * (https://dictionaryapi.com/products/json) into the shape of a
+ * "definition" answer (see referenceProviders.js). A response is a list of
+ * entries, one per headword and homograph, or a list of spelling
+ * suggestions when the word is not in the dictionary (a "spellings" answer).
+ */
+
+// Cross-reference blocks that make no sense out of MW's own pages
+const DROPPED_BLOCKS = /\{(dx|dx_def|dx_ety|ma)\}.*?\{\/\1\}/g;
+
+/**
+ * MW running text with its markup tokens resolved: links keep their word,
+ * formatting is dropped and bold colons separate clauses.
+ * @param {string} markup - e.g. "{bc}a {it}critical{/it} {sx|examination||}"
+ * @returns {string}
+ */
+export function plainText(markup) {
+  return String(markup)
+    .replace(DROPPED_BLOCKS, "")
+    .replace(/\{bc\}/g, "; ")
+    .replace(/\{ldquo\}/g, "“")
+    .replace(/\{rdquo\}/g, "”")
+    .replace(/\{[a-z_]+\|([^|}]*)[^}]*\}/g, "$1")
+    .replace(/\{\/?[a-z_]+\}/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/ ;/g, ";")
+    .replace(/^[;\s]+/, "")
+    .trim();
+}
+
+const definingText = (dt = []) =>
+  dt
+    .filter(([type]) => type === "text")
+    .map(([, text]) => plainText(text))
+    .filter(Boolean)
+    .join("; ");
+
+/**
+ * Numbered senses of an entry, in dictionary order. Binding substitutes
+ * ("bs") and parenthesized sequences ("pseq") are flattened; entries
+ * without a def section fall back to their short definitions.
+ * @returns {{ number: string|null, text: string }[]}
+ */
+function entrySenses(entry) {
+  const senses = [];
+  const visit = ([kind, body]) => {
+    if (kind === "pseq") return body.forEach(visit);
+    if (kind === "bs") return visit(["sense", body.sense]);
+    if (kind !== "sense" || !body) return;
+    const text = definingText(body.dt);
+    if (text) senses.push({ number: body.sn ?? null, text });
+  };
+  (entry.def || []).forEach((section) => section.sseq?.forEach((sequence) => sequence.forEach(visit)));
+
+  if (senses.length === 0) {
+    (entry.shortdef || []).forEach((text) => senses.push({ number: null, text }));
+  }
+  return senses;
+}
+
+function entryEtymology(entry) {
+  const text = (entry.et || [])
+    .filter(([type]) => type === "text")
+    .map(([, markup]) => plainText(markup))
+    .join(" ");
+  return text || null;
+}
+
+/**
+ * @param {Array} data - Collegiate API response
+ * @param {string} word - The word looked up
+ * @returns {{
+ *   text: string|null, partOfSpeech: string,
+ *   entries: { headword: string, homograph: number|null, partOfSpeech: string, pronunciations: string[], senses: { number: string|null, text: string }[], etymology: string|null }[]
+ * }|null}
+ *   Entries are the word's homographs (or, for an inflection such as "ran",
+ *   the entries listing it among their forms; else the first entry).
+ *   text and partOfSpeech repeat the first sense, for one-line display.
+ *   null when MW has no entry for the word, as when it answers with
+ *   spelling suggestions.
+ */
+export function parseCollegiate(data, word) {
+  if (!Array.isArray(data) || data.length === 0 || typeof data[0] === "string") return null;
+
+  const lower = word.toLowerCase();
+  const all = data.filter((entry) => entry && typeof entry === "object" && entry.meta);
+  const headwordOf = (entry) => entry.meta.id.split(":")[0].toLowerCase();
+  const matching = all.filter(
+    (entry) => headwordOf(entry) === lower || entry.meta.stems?.some((stem) => stem.toLowerCase() === lower)
+  );
+
+  const entries = (matching.length > 0 ? matching : all.slice(0, 1)).map((entry) => ({
+    headword: plainText(entry.hwi?.hw ?? headwordOf(entry)).replace(/\*/g, ""),
+    homograph: entry.hom ?? null,
+    partOfSpeech: entry.fl || "",
+    pronunciations: (entry.hwi?.prs || []).map((pr) => pr.mw).filter(Boolean),
+    senses: entrySenses(entry),
+    etymology: entryEtymology(entry),
+  }));
+  if (entries.length === 0) return null;
+
+  const first = entries.find((entry) => entry.senses.length > 0) ?? entries[0];
+  return {
+    text: first.senses[0]?.text ?? null,
+    partOfSpeech: first.partOfSpeech,
+    entries,
+  };
+}
+
+/**
+ * @param {Array} data - Collegiate API response
+ * @returns {string[]|null} MW's spelling suggestions, when it has no entry
+ */
+export function parseSpellings(data) {
+  return Array.isArray(data) && typeof data[0] === "string" ? data : null;
+}
@@ -0,0 +1,34 @@
+/* eslint-env node */
+// src/lib/nodeAssets.js
+
+/**
+ * Node Asset Loader
+ * Filesystem stand-in for fetch() so PhonemeEngine runs outside the browser
+ * (CLI, server, scripts). Public paths resolve against the repo's public/
+ * directory, where the dictionary, rules, lexicon and dialect packs live.
+ *
+ *   await PhonemeEngine.init({ loadAsset: createFileLoader() });
+ *
+ * Browser code must not import this module.
+ */
+
+import { readFile } from "node:fs/promises";
+import { dirname, join, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const PUBLIC_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "..", "public");
+
+/**
+ * @param {string} [root] - Directory public paths are resolved against
+ * @returns {(path: string) => Promise<object>}
+ */
+export function createFileLoader(root = PUBLIC_DIR) {
+  const base = resolve(root);
+  return async (path) => {
+    const file = resolve(base, `.${path}`);
+    if (file !== base && !file.startsWith(base + sep)) {
+      throw new Error(`${path}: outside of ${base}`);
+    }
+    return JSON.parse(await readFile(file, "utf8"));
+  };
+}
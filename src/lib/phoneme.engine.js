@@ -1,20 +1,93 @@
 // Phoneme Analysis Engine for ST-XPD Vowel Family System
+import { lettersToPhonemes } from "./letterToSound.js";
+import { syllabify } from "./syllabify.js";
+import { AnalysisCache } from "./analysisCache.js";
+
+// ARPAbet stress digit -> ST-XPD stress type (see DICT_V2.stress.types)
+const STRESS_BY_LEVEL = { 1: "H", 2: "M", 0: "L" };
+
+// Bump when the shape or derivation of analyzeWord() results changes, so
+// persisted analyses from older builds are not served.
+const ANALYSIS_VERSION = 4;
+
+const ARPABET_VOWELS = new Set([
+  "AA", "AE", "AH", "AO", "AW", "AY", "EH", "ER", "EY", "IH", "IY", "OW", "OY", "UH", "UW",
+]);
+const ARPABET_CONSONANTS = new Set([
+  "B", "CH", "D", "DH", "F", "G", "HH", "JH", "K", "L", "M", "N", "NG",
+  "P", "R", "S", "SH", "T", "TH", "V", "W", "Y", "Z", "ZH",
+]);
+
 export const PhonemeEngine = {
   DICT_V2: null,
   RULES_V2: null,
-  WORD_CACHE: new Map(),
+  // Bounded, persisted (IndexedDB) analyses of the active namespace; see
+  // analysisCache.js and cacheNamespace()
+  WORD_CACHE: new AnalysisCache(),
+
+  // Offline pronunciation lexicon (CMU dict, see scripts/build-lexicon.js).
+  // Shards are fetched on demand through ensureWords().
+  LEXICON_MANIFEST: null,
+  LEXICON_SHARDS: new Map(),
+  LEXICON_PENDING: new Map(),
+  // Words in everyday use (upper case) -> rank, most used first; loaded
+  // with the whole lexicon, null until then
+  COMMON_WORDS: null,
+  VOWEL_ALIASES: new Map(),
+  // Dialect aliases that hold only next to certain sounds:
+  // vowel -> [{ family, before?, after? }]
+  CONTEXT_ALIASES: new Map(),
+
+  // Active dialect pack (public/dialects/<id>.json): vowel alias remaps and
+  // phoneme rewrites layered over the dictionary. null = dictionary as shipped.
+  DIALECT: null,
+  DIALECT_PACKS: new Map(),
+  // Jobs running through withDialect(), the dialect they share, and the
+  // wake-ups of jobs waiting to run in another
+  DIALECT_JOBS: 0,
+  DIALECT_JOBS_IN: null,
+  DIALECT_WAITING: [],
+
+  // User pronunciation overrides ({ WORD: "ARPAbet phonemes" }), consulted
+  // before everything else. Persistence lives with the caller.
+  OVERRIDES: new Map(),
+
+  // Loads a JSON asset by its public path ("/lexicon/a.json"). Browsers and
+  // workers fetch; Node callers pass a filesystem loader to init().
+  loadAsset: (path) =>
+    fetch(path).then((r) => {
+      if (!r.ok) throw new Error(`${path}: HTTP ${r.status}`);
+      return r.json();
+    }),
+
+  /**
+   * @param {{ loadAsset?: (path: string) => Promise<object>, silent?: boolean }} [options]
+   *   loadAsset: replaces fetch() for every dictionary, rules, lexicon and
+   *   dialect file (see nodeAssets.js); silent: no status logging
+   */
+  async init({ loadAsset, silent = false } = {}) {
+    if (loadAsset) this.loadAsset = loadAsset;
+    const log = silent ? () => {} : console.log;
 
-  async init() {
     try {
       const [dict, rules] = await Promise.all([
-        fetch("/phoneme_dictionary_v2.json").then((r) => r.json()),
-        fetch("/rhyme_matching_rules_v2.json").then((r) => r.json()),
+        this.loadAsset("/phoneme_dictionary_v2.json"),
+        this.loadAsset("/rhyme_matching_rules_v2.json"),
       ]);
 
       this.DICT_V2 = dict;
       this.RULES_V2 = rules;
+      this.buildVowelAliases();
 
-      console.log(`ST-XPD v2 Active: ${dict.vowel_families.length} Families.`);
+      try {
+        this.LEXICON_MANIFEST = await this.loadAsset("/lexicon/manifest.json");
+        log(`ST-XPD lexicon: ${this.LEXICON_MANIFEST.words} words available.`);
+      } catch (err) {
+        console.warn("PhonemeEngine: Lexicon not found, using spelling fallback");
+      }
+      this.WORD_CACHE.setNamespace(this.cacheNamespace());
+
+      log(`ST-XPD v2 Active: ${dict.vowel_families.length} Families.`);
       return dict.vowel_families.length;
     } catch (err) {
       console.warn("PhonemeEngine: Using demo mode (dictionary files not found)");
@@ -23,11 +96,377 @@ export const PhonemeEngine = {
     }
   },
 
+  /**
+   * Maps ARPAbet vowels onto ST-XPD families via each family's `aliases`.
+   * A family whose id equals the phoneme wins over one that only lists it
+   * as an alias (IY belongs to IY, not EE). The active dialect's
+   * `vowel_aliases` come last: a family id moves the vowel outright, and
+   * { family, before?, after? } only next to those sounds, as for
+   * applyDialect(). In a list of these the first that fits applies.
+   */
+  buildVowelAliases() {
+    this.VOWEL_ALIASES.clear();
+    this.CONTEXT_ALIASES.clear();
+    const families = this.DICT_V2?.vowel_families || [];
+    families.forEach((family) => {
+      family.aliases.forEach((alias) => {
+        if (!this.VOWEL_ALIASES.has(alias)) this.VOWEL_ALIASES.set(alias, family.id);
+      });
+    });
+    families.forEach((family) => this.VOWEL_ALIASES.set(family.id, family.id));
+    Object.entries(this.DIALECT?.vowel_aliases || {}).forEach(([vowel, alias]) => {
+      if (typeof alias === "string") this.VOWEL_ALIASES.set(vowel, alias);
+      else this.CONTEXT_ALIASES.set(vowel, [].concat(alias));
+    });
+  },
+
+  /**
+   * Everything a cached analysis depends on: engine, dictionary, lexicon
+   * and dialect pack versions.
+   * @returns {string}
+   */
+  cacheNamespace() {
+    const dialect = this.DIALECT ? `${this.DIALECT.meta.id}@${this.DIALECT.meta.version ?? 0}` : "none";
+    return [
+      `v${ANALYSIS_VERSION}`,
+      this.DICT_V2?.meta?.version ?? "demo",
+      this.LEXICON_MANIFEST?.version ?? "no-lexicon",
+      dialect,
+    ].join("|");
+  },
+
+  /**
+   * Switches the active dialect pack. The cache moves to the pack's own
+   * namespace, since families and pronunciations may change.
+   * @param {string|null} id - Pack id, or null for the dictionary as shipped
+   * @returns {Promise<object|null>} The pack's meta
+   */
+  async setDialect(id) {
+    if ((this.DIALECT?.meta.id ?? null) === (id || null)) return this.DIALECT?.meta ?? null;
+
+    let pack = null;
+    if (id) {
+      if (!this.DIALECT_PACKS.has(id)) {
+        const loaded = await this.loadAsset(`/dialects/${id}.json`).catch(() => {
+          throw new Error(`Dialect pack "${id}" not found`);
+        });
+        this.DIALECT_PACKS.set(id, loaded);
+      }
+      pack = this.DIALECT_PACKS.get(id);
+    }
+
+    this.DIALECT = pack;
+    this.buildVowelAliases();
+    this.WORD_CACHE.setNamespace(this.cacheNamespace());
+    return pack?.meta ?? null;
+  },
+
+  /**
+   * Runs an async job in a dialect. The engine reads one dialect at a time,
+   * so a job for another dialect waits until the jobs running finish
+   * instead of switching the pack under them.
+   * @param {string|null} id - Pack id, as for setDialect()
+   * @param {() => Promise<*>} job
+   * @returns {Promise<*>} What the job resolves to
+   */
+  async withDialect(id, job) {
+    const dialect = id || null;
+    while (this.DIALECT_JOBS > 0 && this.DIALECT_JOBS_IN !== dialect) {
+      await new Promise((resolve) => this.DIALECT_WAITING.push(resolve));
+    }
+    this.DIALECT_JOBS++;
+    this.DIALECT_JOBS_IN = dialect;
+    try {
+      await this.setDialect(dialect);
+      return await job();
+    } finally {
+      this.DIALECT_JOBS--;
+      if (this.DIALECT_JOBS === 0) this.DIALECT_WAITING.splice(0).forEach((wake) => wake());
+    }
+  },
+
+  /**
+   * Applies the active dialect's rewrites to a pronunciation. A rewrite
+   * replaces one vowel or consonant ("from") with zero or more phonemes
+   * ("to"; a vowel keeps its stress digit), optionally only:
+   * - before/after: next/previous phoneme is one of the list
+   *   ("#" = word edge, "C" = any consonant)
+   * - stress: the vowel carries this stress digit
+   * - spelling: the written word matches this pattern
+   * - words: the written word is one of the list
+   * @param {string} word - Uppercase spelling
+   * @param {string[]} phonemes
+   * @returns {string[]}
+   */
+  applyDialect(word, phonemes) {
+    const rewrites = this.DIALECT?.rewrites || [];
+    return rewrites.reduce((current, rule) => {
+      if (rule.words && !rule.words.includes(word)) return current;
+      if (rule.spelling && !new RegExp(rule.spelling).test(word)) return current;
+
+      return current.flatMap((phoneme, i) => {
+        const [, bare, digit = ""] = phoneme.match(/^(\D+)(\d?)$/);
+        if (bare !== rule.from) return [phoneme];
+        if (rule.stress !== undefined && digit !== String(rule.stress)) return [phoneme];
+        if (!this.fitsContext(current[i + 1], rule.before) || !this.fitsContext(current[i - 1], rule.after)) {
+          return [phoneme];
+        }
+        if (!rule.to) return [];
+        return rule.to
+          .split(" ")
+          .map((p) => (digit && ARPABET_VOWELS.has(p) ? `${p}${digit}` : p));
+      });
+    }, phonemes);
+  },
+
+  /**
+   * Whether a neighbouring phoneme is one a dialect rule allows.
+   * @param {string|undefined} phoneme - undefined past the word's edge
+   * @param {string[]} [allowed] - Phonemes, "#" or "C"; none = any
+   * @returns {boolean}
+   */
+  fitsContext(phoneme, allowed) {
+    return (
+      !allowed ||
+      allowed.some((token) => {
+        if (token === "#") return phoneme === undefined;
+        if (token === "C") return phoneme !== undefined && !this.isVowelPhoneme(phoneme);
+        return phoneme?.replace(/\d$/, "") === token;
+      })
+    );
+  },
+
+  getShardKey(word) {
+    const first = String(word || "")[0]?.toLowerCase();
+    return first && first >= "a" && first <= "z" ? first : "_";
+  },
+
+  async loadLexiconShard(key) {
+    if (this.LEXICON_SHARDS.has(key)) return this.LEXICON_SHARDS.get(key);
+    if (!this.LEXICON_MANIFEST?.shards.includes(key)) return null;
+    if (this.LEXICON_PENDING.has(key)) return this.LEXICON_PENDING.get(key);
+
+    const pending = this.loadAsset(`/lexicon/${key}.json`)
+      .then((shard) => {
+        this.LEXICON_SHARDS.set(key, shard);
+        // Drop spelling-based guesses made before this shard arrived.
+        for (const cached of [...this.WORD_CACHE.keys()]) {
+          if (this.getShardKey(cached) === key && (shard[cached] || cached.endsWith("IN'"))) {
+            this.WORD_CACHE.delete(cached);
+          }
+        }
+        return shard;
+      })
+      .catch((err) => {
+        console.warn(`PhonemeEngine: Failed to load lexicon shard "${key}"`, err);
+        return null;
+      })
+      .finally(() => this.LEXICON_PENDING.delete(key));
+
+    this.LEXICON_PENDING.set(key, pending);
+    return pending;
+  },
+
+  /**
+   * Loads every lexicon shard (for whole-lexicon lookups such as rhyme search).
+   */
+  async loadLexicon() {
+    const keys = this.LEXICON_MANIFEST?.shards || [];
+    await Promise.all([...keys.map((key) => this.loadLexiconShard(key)), this.loadCommonWords()]);
+  },
+
+  async loadCommonWords() {
+    if (this.COMMON_WORDS || !this.LEXICON_MANIFEST?.commonWords) return;
+    try {
+      const words = await this.loadAsset("/lexicon/common.json");
+      this.COMMON_WORDS = new Map(words.map((word, rank) => [word, rank]));
+    } catch (err) {
+      console.warn("PhonemeEngine: Failed to load the common word list", err);
+    }
+  },
+
+  /**
+   * Whether a word is in everyday use rather than a name or oddity the
+   * lexicon also lists. Overridden words count, and so does every word
+   * until the list has loaded (see loadLexicon) or when the lexicon has none.
+   * @param {string} word
+   * @returns {boolean}
+   */
+  isCommonWord(word) {
+    const upper = String(word).toUpperCase();
+    return !this.COMMON_WORDS || this.COMMON_WORDS.has(upper) || this.OVERRIDES.has(upper);
+  },
+
+  /**
+   * How often a word is used, as its place in the common word list (0 is
+   * the most used); Infinity for words not on it or before it has loaded.
+   * @param {string} word
+   * @returns {number}
+   */
+  getWordRank(word) {
+    return this.COMMON_WORDS?.get(String(word).toUpperCase()) ?? Infinity;
+  },
+
+  /**
+   * Makes the given words analyzable: persisted analyses are loaded first,
+   * and lexicon shards only for the words still missing.
+   * @param {string[]} words
+   */
+  async ensureWords(words) {
+    const wanted = words.filter(Boolean).map((w) => String(w).toUpperCase());
+    await this.WORD_CACHE.hydrate(wanted);
+    const keys = new Set(
+      wanted.filter((w) => !this.WORD_CACHE.has(w)).map((w) => this.getShardKey(w))
+    );
+    await Promise.all([...keys].map((key) => this.loadLexiconShard(key)));
+  },
+
+  lookupPronunciation(upper) {
+    const pronunciation = this.LEXICON_SHARDS.get(this.getShardKey(upper))?.[upper];
+    return pronunciation ? pronunciation.split(" ") : null;
+  },
+
+  /**
+   * Replaces the pronunciation overrides. Overridden words bypass
+   * WORD_CACHE, so nothing cached needs dropping.
+   * @param {Object<string, string>} overrides - { WORD: "B AW1 T" }
+   */
+  setOverrides(overrides) {
+    this.OVERRIDES = new Map(
+      Object.entries(overrides || {}).map(([word, phonemes]) => [word.toUpperCase(), phonemes])
+    );
+  },
+
+  /**
+   * Validates a typed pronunciation ("b aw1 t") and returns its phonemes.
+   * Vowels must carry a stress digit (0, 1 or 2).
+   * @param {string} text
+   * @returns {string[]}
+   * @throws {Error} naming the first phoneme that is not valid ARPAbet
+   */
+  parsePronunciation(text) {
+    const phonemes = String(text || "").trim().toUpperCase().split(/\s+/).filter(Boolean);
+    if (phonemes.length === 0) throw new Error("Pronunciation is empty");
+
+    phonemes.forEach((phoneme) => {
+      const bare = phoneme.replace(/[012]$/, "");
+      if (ARPABET_VOWELS.has(bare)) {
+        if (bare === phoneme) {
+          throw new Error(`Vowel "${phoneme}" needs a stress digit (0, 1 or 2)`);
+        }
+      } else if (!ARPABET_CONSONANTS.has(phoneme)) {
+        throw new Error(`"${phoneme}" is not an ARPAbet phoneme`);
+      }
+    });
+    if (!phonemes.some((p) => this.isVowelPhoneme(p))) {
+      throw new Error("Pronunciation needs at least one vowel");
+    }
+    return phonemes;
+  },
+
+  /**
+   * Derives vowel family, onset, coda and rhyme key from ARPAbet phonemes.
+   * The family comes from the last primary-stressed vowel (the rhyme
+   * nucleus) and the onset is every consonant before the first vowel. The
+   * rhyme tail is what follows the nucleus to the end of the word, as
+   * consonant runs and vowel families ("timeframe": MFR-EY-M), and the coda
+   * its consonants alone (MFRM). Family and tail make the rhyme key, so
+   * "time" (AY-M) and "timeframe" (AY-MFR-EY-M) do not share one.
+   * @param {string[]} phonemes
+   */
+  analyzePhonemes(phonemes) {
+    const vowelIndexes = phonemes
+      .map((p, i) => (this.isVowelPhoneme(p) ? i : -1))
+      .filter((i) => i !== -1);
+
+    if (vowelIndexes.length === 0) {
+      return {
+        vowelFamily: "UH",
+        phonemes,
+        onset: null,
+        coda: null,
+        rhymeTail: null,
+        rhymeKey: "UH-open",
+        ...this.analyzeSyllables(phonemes),
+      };
+    }
+
+    const stressedIndex =
+      [...vowelIndexes].reverse().find((i) => phonemes[i].endsWith("1")) ??
+      vowelIndexes[vowelIndexes.length - 1];
+    const vowelFamily = this.familyForVowel(
+      phonemes[stressedIndex],
+      phonemes[stressedIndex - 1],
+      phonemes[stressedIndex + 1]
+    );
+    const onset = phonemes.slice(0, vowelIndexes[0]).join("") || null;
+
+    const after = phonemes.slice(stressedIndex + 1);
+    const coda = after.filter((p) => !this.isVowelPhoneme(p)).join("") || null;
+    const tail = [];
+    after.forEach((p, i) => {
+      if (this.isVowelPhoneme(p)) tail.push(this.familyForVowel(p, phonemes[stressedIndex + i], after[i + 1]));
+      else if (i > 0 && !this.isVowelPhoneme(after[i - 1])) tail[tail.length - 1] += p;
+      else tail.push(p);
+    });
+    const rhymeTail = tail.join("-") || null;
+
+    return {
+      vowelFamily,
+      phonemes,
+      onset,
+      coda,
+      rhymeTail,
+      rhymeKey: `${vowelFamily}-${rhymeTail || "open"}`,
+      ...this.analyzeSyllables(phonemes),
+    };
+  },
+
+  /**
+   * Syllable boundaries with a stress class per syllable:
+   * H = hard attack (primary), M = medium (secondary), L = ghost (unstressed).
+   * @param {string[]} phonemes
+   * @returns {{ syllables: {phonemes: string[], stress: string}[], syllableCount: number, stressPattern: string }}
+   */
+  analyzeSyllables(phonemes) {
+    const syllables = syllabify(phonemes).map((syllable) => ({
+      phonemes: syllable.phonemes,
+      stress: STRESS_BY_LEVEL[syllable.stressLevel] ?? "L",
+    }));
+    return {
+      syllables,
+      syllableCount: syllables.length,
+      stressPattern: syllables.map((s) => s.stress).join(""),
+    };
+  },
+
+  /**
+   * @param {string} phoneme - Vowel phoneme, with or without stress digit
+   * @param {string} [previous] - Preceding phoneme (Y + UW reads as YOO)
+   * @param {string} [next] - Following phoneme, for the dialect's context aliases
+   * @returns {string} Vowel family id
+   */
+  familyForVowel(phoneme, previous, next) {
+    const bare = phoneme.replace(/\d$/, "");
+    const contextual = this.CONTEXT_ALIASES.get(bare)?.find(
+      (alias) => this.fitsContext(next, alias.before) && this.fitsContext(previous, alias.after)
+    );
+    if (contextual) return contextual.family;
+    if (bare === "UW" && previous === "Y" && this.VOWEL_ALIASES.has("YUW")) {
+      return this.VOWEL_ALIASES.get("YUW");
+    }
+    return this.VOWEL_ALIASES.get(bare) || this.guessVowelFamily(bare);
+  },
+
   analyzeWord(word) {
     const upper = String(word || "").toUpperCase();
     if (!upper) return null;
 
-    // Check cache first
+    // User overrides beat every other source, the cache included
+    if (this.OVERRIDES.has(upper)) {
+      return this.analyzePhonemes(this.OVERRIDES.get(upper).split(" "));
+    }
+
     if (this.WORD_CACHE.has(upper)) {
       return this.WORD_CACHE.get(upper);
     }
@@ -35,102 +474,317 @@ export const PhonemeEngine = {
     // If dictionary is loaded, try to look up
     if (this.DICT_V2?.words?.[upper]) {
       const entry = this.DICT_V2.words[upper];
+      const analysis = this.analyzePhonemes(entry.phonemes);
       const result = {
+        ...analysis,
         vowelFamily: entry.vowelFamily,
-        phonemes: entry.phonemes,
-        coda: entry.coda,
-        rhymeKey: `${entry.vowelFamily}-${entry.coda || "open"}`,
+        rhymeKey: `${entry.vowelFamily}-${analysis.rhymeTail || "open"}`,
       };
       this.WORD_CACHE.set(upper, result);
       return result;
     }
 
-    // Fallback: simple vowel-based analysis for demo
-    const vowelMatch = upper.match(/[AEIOU]+/g);
-    if (!vowelMatch) {
-      return {
-        vowelFamily: "UH",
-        phonemes: upper.split(""),
-        coda: null,
-        rhymeKey: "UH-open",
-      };
+    // Lexicon pronunciation (only if its shard has been loaded)
+    const pronunciation = this.lookupPronunciation(upper);
+    if (pronunciation) {
+      const result = this.analyzePhonemes(this.applyDialect(upper, pronunciation));
+      this.WORD_CACHE.set(upper, result);
+      return result;
     }
 
-    const dominantVowel = vowelMatch[vowelMatch.length - 1];
-    const vowelFamily = this.guessVowelFamily(dominantVowel);
-    const coda = this.extractCoda(upper);
-
-    const result = {
-      vowelFamily,
-      phonemes: this.splitToPhonemes(upper),
-      coda,
-      rhymeKey: `${vowelFamily}-${coda || "open"}`,
-    };
+    // Dropped g ("lovin'"): the -ing pronunciation ending in N
+    if (upper.endsWith("IN'")) {
+      const full = this.lookupPronunciation(`${upper.slice(0, -1)}G`);
+      if (full?.at(-1) === "NG") {
+        const result = this.analyzePhonemes(this.applyDialect(upper, [...full.slice(0, -1), "N"]));
+        this.WORD_CACHE.set(upper, result);
+        return result;
+      }
+    }
 
-    this.WORD_CACHE.set(upper, result);
+    // Fallback: letter-to-sound rules for words no lexicon covers. The guess
+    // is only final once the word's shard has loaded (or there is none).
+    const result = this.analyzePhonemes(this.applyDialect(upper, lettersToPhonemes(upper)));
+    const key = this.getShardKey(upper);
+    const settled = this.LEXICON_SHARDS.has(key) || !this.LEXICON_MANIFEST?.shards.includes(key);
+    this.WORD_CACHE.set(upper, result, { persist: settled });
     return result;
   },
 
+  /**
+   * Analysis of several words spoken as one token ("24/7" -> TWENTY FOUR
+   * SEVEN): their phonemes run together, so the rhyme comes from the tail.
+   * @param {string[]} words - Spoken words, see textNormalizer.js
+   */
+  analyzePhrase(words) {
+    if (words.length <= 1) return words.length ? this.analyzeWord(words[0]) : null;
+    const analyses = words.map((word) => this.analyzeWord(word));
+    if (analyses.some((analysis) => !analysis)) return null;
+    return this.analyzePhonemes(analyses.flatMap((analysis) => analysis.phonemes));
+  },
+
+  /**
+   * Default ARPAbet -> family mapping, used until the dictionary's own
+   * aliases are loaded (demo mode).
+   */
   guessVowelFamily(vowel) {
-    // Simplified mapping based on common patterns
     const map = {
-      A: "A",
-      E: "EH",
-      I: "IH",
-      O: "OH",
-      U: "UH",
-      AI: "AY",
+      AA: "A",
+      AH: "A",
+      AE: "AE",
+      AO: "AO",
+      AW: "AW",
       AY: "AY",
-      EE: "IY",
-      EA: "IY",
-      OO: "UW",
-      OU: "AW",
-      OW: "OW",
-      OI: "OY",
+      EH: "EH",
+      ER: "ER",
+      EY: "EY",
+      IH: "IH",
+      IY: "IY",
+      OW: "OH",
       OY: "OY",
+      UH: "UH",
+      UW: "OO",
     };
-    return map[vowel] || map[vowel[0]] || "A";
-  },
-
-  extractCoda(word) {
-    const match = word.match(/[^AEIOU]+$/);
-    return match ? match[0] : null;
-  },
-
-  splitToPhonemes(word) {
-    // Very simplified - production needs CMU dictionary
-    const phonemes = [];
-    let i = 0;
-    while (i < word.length) {
-      const char = word[i];
-      if (/[AEIOU]/.test(char)) {
-        // Check for digraphs
-        const next = word[i + 1];
-        if (next && /[AEIOU]/.test(next)) {
-          phonemes.push(char + next + "1");
-          i += 2;
-        } else {
-          phonemes.push(char + "1");
-          i++;
-        }
-      } else if (/[A-Z]/.test(char)) {
-        phonemes.push(char);
-        i++;
-      } else {
-        i++;
+    return map[vowel] || "A";
+  },
+
+  /**
+   * Splits an onset or coda string back into its consonants ("NKS" -> N, K, S).
+   * Two-letter phonemes (NG, SH, TH...) are read first; N + G is the only
+   * pair that could also be two consonants, and it is read as NG.
+   * @param {string|null} cluster
+   * @returns {string[]}
+   */
+  splitConsonants(cluster) {
+    const consonants = [];
+    let rest = cluster || "";
+    while (rest) {
+      const pair = rest.slice(0, 2);
+      const next = ARPABET_CONSONANTS.has(pair) ? pair : rest[0];
+      consonants.push(next);
+      rest = rest.slice(next.length);
+    }
+    return consonants;
+  },
+
+  /**
+   * Group of one consonant in the dictionary's coda_groups or onset_groups,
+   * or the consonant itself when it is in no group.
+   * @param {string} consonant
+   * @param {"coda"|"onset"} [position]
+   * @returns {string}
+   */
+  consonantGroup(consonant, position = "coda") {
+    const groups = this.DICT_V2?.consonant_groups?.[`${position}_groups`] || {};
+    return Object.keys(groups).find((group) => groups[group].includes(consonant)) ?? consonant;
+  },
+
+  /**
+   * How much of two codas matches by coda group, from 0 to 1. The codas are
+   * split into consonants and aligned in order (longest common subsequence,
+   * consonants of one group counting as equal); the score is the aligned
+   * count over the longer coda. "NDZ" (bends) vs "TS" (bets) aligns D~T and
+   * Z~S: 2/3. Two open codas match fully; one open coda matches nothing.
+   * @param {string|null} codaA
+   * @param {string|null} codaB
+   * @returns {number}
+   */
+  compareCodas(codaA, codaB) {
+    const a = this.splitConsonants(codaA).map((c) => this.consonantGroup(c));
+    const b = this.splitConsonants(codaB).map((c) => this.consonantGroup(c));
+    if (a.length === 0 || b.length === 0) return a.length === b.length ? 1 : 0;
+
+    // lengths[i][j]: aligned consonants between a[..i) and b[..j)
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        lengths[i][j] =
+          a[i - 1] === b[j - 1]
+            ? lengths[i - 1][j - 1] + 1
+            : Math.max(lengths[i - 1][j], lengths[i][j - 1]);
       }
     }
-    return phonemes;
+    return lengths[a.length][b.length] / Math.max(a.length, b.length);
   },
 
+  /**
+   * Whether two codas are mutations of each other: enough of their
+   * consonants match by coda group (rules scoring.coda_clusters.min_match;
+   * every consonant when cluster matching is disabled).
+   * @param {string|null} codaA
+   * @param {string|null} codaB
+   * @returns {boolean}
+   */
   checkCodaMutation(codaA, codaB) {
     if (!this.DICT_V2?.consonant_groups?.coda_groups) return false;
-    const groups = this.DICT_V2.consonant_groups.coda_groups;
-    for (let group in groups) {
-      if (groups[group].includes(codaA) && groups[group].includes(codaB)) {
-        return true;
+    const clusters = this.RULES_V2?.scoring?.coda_clusters;
+    const minMatch = clusters?.enabled ? clusters.min_match : 1;
+    return this.compareCodas(codaA, codaB) >= minMatch;
+  },
+
+  /**
+   * Coda group of a whole coda: the group of each consonant in turn, so
+   * "NDZ" and "NTS" both file under "NTS" ("open" for no coda).
+   * @param {string|null} coda
+   * @returns {string}
+   */
+  getCodaGroup(coda) {
+    if (!coda) return "open";
+    return this.splitConsonants(coda)
+      .map((c) => this.consonantGroup(c))
+      .join("");
+  },
+
+  /**
+   * Onset group a word alliterates on: the group of its first consonant
+   * ("ST" and "SP" both alliterate on S), or null for a vowel onset.
+   * @param {string|null} onset
+   * @returns {string|null}
+   */
+  getOnsetGroup(onset) {
+    const [first] = this.splitConsonants(onset);
+    return first ? this.consonantGroup(first, "onset") : null;
+  },
+
+  checkOnsetGroup(onsetA, onsetB) {
+    if (!onsetA && !onsetB) return true;
+    if (!onsetA || !onsetB) return false;
+    if (onsetA === onsetB) return true;
+    const groups = this.DICT_V2?.consonant_groups?.onset_groups;
+    if (!groups) return false;
+    return Object.values(groups).some(
+      (members) => members.includes(onsetA) && members.includes(onsetB)
+    );
+  },
+
+  isVowelPhoneme(phoneme) {
+    return /\d$/.test(phoneme);
+  },
+
+  /**
+   * Vowel family for every vowel phoneme, in word order.
+   * @param {string[]} phonemes
+   * @returns {string[]}
+   */
+  getVowelFamilies(phonemes) {
+    return phonemes
+      .map((p, i) => (this.isVowelPhoneme(p) ? this.familyForVowel(p, phonemes[i - 1], phonemes[i + 1]) : null))
+      .filter(Boolean);
+  },
+
+  /**
+   * Leading consonant of the word (first phoneme before the first vowel).
+   * @param {string[]} phonemes
+   * @returns {string|null}
+   */
+  getLeadConsonant(phonemes) {
+    const first = phonemes[0];
+    return first && !this.isVowelPhoneme(first) ? first : null;
+  },
+
+  /**
+   * Distance, in vowels, from the primary stressed vowel to the end of the word.
+   * @param {string[]} phonemes
+   * @returns {number}
+   */
+  getStressOffset(phonemes) {
+    const vowels = phonemes.filter((p) => this.isVowelPhoneme(p));
+    const stressed = vowels.map((p) => p.endsWith("1")).lastIndexOf(true);
+    return stressed === -1 ? 0 : vowels.length - 1 - stressed;
+  },
+
+  /**
+   * Scores how well two words rhyme.
+   * Component weights, the fusion bonus, cluster coda matching and the tier
+   * thresholds all come from rhyme_matching_rules_v2.json. Tiers are tested
+   * in file order; a threshold flag set to `true` is a hard requirement,
+   * anything else is ignored.
+   *
+   * @param {string} wordA
+   * @param {string} wordB
+   * @returns {{score: number, tier: string|null, breakdown: object, fusionBonus: number}|null}
+   */
+  scoreRhyme(wordA, wordB) {
+    const a = this.analyzeWord(wordA);
+    const b = this.analyzeWord(wordB);
+    if (!a || !b) return null;
+    return this.scoreAnalyses(a, b);
+  },
+
+  /**
+   * scoreRhyme() for two results of analyzeWord()/analyzePhonemes().
+   * @param {object} a
+   * @param {object} b
+   */
+  scoreAnalyses(a, b) {
+    const scoring = this.RULES_V2?.scoring;
+    if (!scoring) return null;
+
+    // Cluster codas can match in part ("bends"/"bets"), which earns that
+    // share of the coda_group weight; the tier flag needs min_match. An
+    // exact coda means the whole rhyme tail matches, later vowels included
+    // ("shady" and "shade" share a coda, not a tail).
+    const codaExact = (a.rhymeTail || null) === (b.rhymeTail || null);
+    const codaMutation = codaExact || this.checkCodaMutation(a.coda, b.coda);
+    const codaGroup =
+      codaExact || !scoring.coda_clusters?.enabled
+        ? Number(codaMutation)
+        : this.compareCodas(a.coda, b.coda);
+    const matches = {
+      vowel_family: a.vowelFamily === b.vowelFamily ? 1 : 0,
+      coda_exact: codaExact ? 1 : 0,
+      coda_group: codaGroup,
+      onset_group: this.checkOnsetGroup(
+        this.getLeadConsonant(a.phonemes),
+        this.getLeadConsonant(b.phonemes)
+      )
+        ? 1
+        : 0,
+      stress_alignment:
+        this.getStressOffset(a.phonemes) === this.getStressOffset(b.phonemes) ? 1 : 0,
+    };
+
+    const breakdown = {};
+    let score = 0;
+    for (const [component, weight] of Object.entries(scoring.weights || {})) {
+      const contribution = (matches[component] ?? 0) * weight;
+      breakdown[component] = { match: matches[component] ?? 0, weight, contribution };
+      score += contribution;
+    }
+
+    // Multisyllabic bonus: enough matching vowels across the trailing window.
+    let fusionBonus = 1;
+    const fusion = scoring.fusion_bonus;
+    if (fusion?.enabled) {
+      const tailA = this.getVowelFamilies(a.phonemes).slice(-fusion.window_syllables);
+      const tailB = this.getVowelFamilies(b.phonemes).slice(-fusion.window_syllables);
+      let hits = 0;
+      for (let i = 1; i <= Math.min(tailA.length, tailB.length); i++) {
+        if (tailA[tailA.length - i] === tailB[tailB.length - i]) hits++;
+      }
+      if (hits >= fusion.min_vowel_hits) fusionBonus = fusion.bonus_mult;
+    }
+    score = Math.min(1, score * fusionBonus);
+
+    const flags = {
+      vowel: matches.vowel_family === 1,
+      coda: matches.coda_exact === 1,
+      coda_group: codaMutation,
+    };
+    let tier = null;
+    for (const [name, rule] of Object.entries(this.RULES_V2.thresholds || {})) {
+      const meetsFlags = Object.keys(flags).every((flag) => rule[flag] !== true || flags[flag]);
+      if (meetsFlags && score >= rule.min_score) {
+        tier = name;
+        break;
       }
     }
-    return false;
+
+    return {
+      score: Math.round(score * 1000) / 1000,
+      tier,
+      breakdown,
+      fusionBonus,
+    };
   },
 };
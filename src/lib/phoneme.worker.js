@@ -0,0 +1,75 @@
+// src/lib/phoneme.worker.js
+
+/**
+ * Phoneme Worker
+ * Hosts its own PhonemeEngine and runs scroll analysis, rhyme search,
+ * line-ending suggestions and wordplay lookups off the main thread.
+ *
+ * In:  { type: "analyze", id, content, dialect } | { type: "cancel", id }
+ *      { type: "findRhymes", id, word, options, dialect }
+ *      { type: "findWordplay", id, words, options, dialect }
+ *      { type: "suggestEndings", id, bar, options, dialect }
+ *      { type: "overrides", overrides }
+ *
+ * Jobs name the dialect pack they are read in. A job for another dialect
+ * than the ones running waits for them to finish (PhonemeEngine.withDialect).
+ * Out: { type: "progress", id, stage, progress }
+ *      { type: "result", id, result }
+ *      { type: "cancelled", id }
+ *      { type: "error", id, message }
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { analyzeScroll, AnalysisCancelledError } from "./scrollAnalysis.js";
+import { RhymeIndex } from "./rhymeIndex.js";
+import { Wordplay } from "./wordplay.js";
+import { suggestLineEndings } from "./rhymeSuggest.js";
+
+const ready = PhonemeEngine.init();
+const running = new Set();
+const cancelled = new Set();
+
+async function runAnalysis(id, content, dialect) {
+  running.add(id);
+  try {
+    await ready;
+    const result = await PhonemeEngine.withDialect(dialect, () =>
+      analyzeScroll(content, {
+        onProgress: ({ stage, progress }) => self.postMessage({ type: "progress", id, stage, progress }),
+        isCancelled: () => cancelled.has(id),
+      })
+    );
+    self.postMessage({ type: "result", id, result });
+  } catch (err) {
+    if (err instanceof AnalysisCancelledError) {
+      self.postMessage({ type: "cancelled", id });
+    } else {
+      self.postMessage({ type: "error", id, message: err.message });
+    }
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+}
+
+// Index lookups (rhymes, endings, wordplay): one result, no progress or
+// cancellation
+async function runLookup(id, dialect, lookup) {
+  try {
+    await ready;
+    const result = await PhonemeEngine.withDialect(dialect, lookup);
+    self.postMessage({ type: "result", id, result });
+  } catch (err) {
+    self.postMessage({ type: "error", id, message: err.message });
+  }
+}
+
+self.onmessage = (event) => {
+  const { type, id, content, word, words, bar, options, overrides, dialect } = event.data || {};
+  if (type === "overrides") PhonemeEngine.setOverrides(overrides);
+  if (type === "analyze") runAnalysis(id, content, dialect);
+  if (type === "findRhymes") runLookup(id, dialect, () => RhymeIndex.findRhymes(word, options));
+  if (type === "findWordplay") runLookup(id, dialect, () => Wordplay.find(words, options));
+  if (type === "suggestEndings") runLookup(id, dialect, () => suggestLineEndings(bar, options));
+  if (type === "cancel" && running.has(id)) cancelled.add(id);
+};
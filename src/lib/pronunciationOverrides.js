@@ -0,0 +1,72 @@
+// src/lib/pronunciationOverrides.js
+
+/**
+ * Pronunciation Overrides File
+ * The shareable JSON form of the user's pronunciation overrides:
+ *
+ * {
+ *   "format": "scholomance-pronunciations",
+ *   "version": 1,
+ *   "overrides": { "SKRRT": "S K ER1 T" }
+ * }
+ *
+ * A bare { WORD: "phonemes" } object is accepted on import too.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+
+export const OVERRIDES_FORMAT = "scholomance-pronunciations";
+export const OVERRIDES_VERSION = 1;
+
+/**
+ * @param {Object<string, string>} overrides
+ * @returns {string} Pretty-printed JSON, words sorted A-Z
+ */
+export function serializeOverrides(overrides) {
+  const sorted = Object.fromEntries(
+    Object.entries(overrides || {}).sort(([a], [b]) => a.localeCompare(b))
+  );
+  return JSON.stringify(
+    { format: OVERRIDES_FORMAT, version: OVERRIDES_VERSION, overrides: sorted },
+    null,
+    2
+  );
+}
+
+/**
+ * Parses and validates an overrides file. Words are uppercased and every
+ * pronunciation is normalized through engine.parsePronunciation().
+ * @param {string} text - File contents
+ * @returns {Object<string, string>}
+ * @throws {Error} when the JSON is malformed or a pronunciation is invalid
+ */
+export function parseOverrides(text, engine = PhonemeEngine) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Overrides file is not valid JSON");
+  }
+
+  if (data?.format === OVERRIDES_FORMAT) {
+    if (data.version > OVERRIDES_VERSION) {
+      throw new Error(`Overrides file version ${data.version} is newer than this app supports`);
+    }
+    data = data.overrides;
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Overrides file must map words to pronunciations");
+  }
+
+  const overrides = {};
+  Object.entries(data).forEach(([word, pronunciation]) => {
+    const upper = word.toUpperCase().replace(/[^A-Z']/g, "");
+    if (!upper) throw new Error(`"${word}" is not a word`);
+    try {
+      overrides[upper] = engine.parsePronunciation(pronunciation).join(" ");
+    } catch (err) {
+      throw new Error(`${upper}: ${err.message}`);
+    }
+  });
+  return overrides;
+}
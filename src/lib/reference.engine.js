@@ -1,126 +1,442 @@
-
 /**
  * Reference Engine
- * Integrates external APIs for Dictionary, Thesaurus, and Rhymes.
- * 
- * Sources:
- * - Rhymes: Datamuse API (Free, no key)
- * - Dictionary: Merriam-Webster Collegiate (Key required) OR Free Dictionary API (Fallback)
- * - Thesaurus: Merriam-Webster Collegiate (Key required) OR Datamuse (Fallback)
+ * Definitions, synonyms, antonyms, broader terms, rhymes and etymologies
+ * from a registry of
+ * providers (see referenceProviders.js). For each capability the providers
+ * offering it are asked in turn until one answers: by priority, or in the
+ * order set with setFallbackChain.
+ *
+ * Lookups are shared and remembered: answers are cached (see
+ * referenceCache.js), a lookup already on its way is joined rather than
+ * repeated, and callers pass an AbortSignal to give up on theirs. A provider
+ * failing with a network or server error is retried with backoff; after
+ * BREAKER_THRESHOLD such failed lookups in a row its circuit opens and it is
+ * passed over for BREAKER_COOLDOWN_MS, then given one lookup to prove
+ * itself. While the browser reports being
+ * offline only providers marked offline are asked.
+ *
+ * Registered by default:
+ * - Merriam-Webster Collegiate (keys required): definitions, synonyms
+ * - Free Dictionary API: definitions, etymologies
+ * - Datamuse: rhymes, synonyms
+ * - WordNet, bundled (last): definitions, synonyms, antonyms, hypernyms
  */
 
-export const ReferenceEngine = {
-  
-  getKeys() {
-    return {
-      dictKey: localStorage.getItem('mw_dict_key'),
-      thesKey: localStorage.getItem('mw_thes_key')
-    };
-  },
+import {
+  REFERENCE_CAPABILITIES,
+  ReferenceHttpError,
+  ReferenceKeyError,
+  ReferenceNetworkError,
+  merriamWebsterProvider,
+  freeDictionaryProvider,
+  datamuseProvider,
+  wordNetProvider,
+} from "./referenceProviders.js";
+import { ReferenceCache } from "./referenceCache.js";
 
-  setKeys(dictKey, thesKey) {
-    if (dictKey) localStorage.setItem('mw_dict_key', dictKey);
-    if (thesKey) localStorage.setItem('mw_thes_key', thesKey);
+/**
+ * API keys a writer can enter (see the Settings page): which provider
+ * config setting each fills, the lookup it unlocks and where it is stored.
+ */
+export const REFERENCE_KEYS = [
+  {
+    name: "dictKey",
+    label: "Merriam-Webster Collegiate Dictionary",
+    provider: "merriam-webster",
+    capability: "definition",
+    storageKey: "mw_dict_key",
   },
+  {
+    name: "thesKey",
+    label: "Merriam-Webster Collegiate Thesaurus",
+    provider: "merriam-webster",
+    capability: "synonyms",
+    storageKey: "mw_thes_key",
+  },
+];
+const RETRIES = 2;
+const BACKOFF_MS = 300;
+const BREAKER_THRESHOLD = 3;
+const BREAKER_COOLDOWN_MS = 60 * 1000;
+// "No answer" may be a passing outage, so it is not trusted for long
+const NO_ANSWER_TTL_MS = 10 * 60 * 1000;
 
-  async fetchAll(word) {
-    const [rhymes, definition, synonyms] = await Promise.allSettled([
-      this.getRhymes(word),
-      this.getDefinition(word),
-      this.getSynonyms(word)
-    ]);
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
 
-    return {
-      rhymes: rhymes.status === 'fulfilled' ? rhymes.value : [],
-      definition: definition.status === 'fulfilled' ? definition.value : null,
-      synonyms: synonyms.status === 'fulfilled' ? synonyms.value : []
-    };
-  },
+const isEmpty = (value) => value == null || (Array.isArray(value) && value.length === 0);
+
+// Only an outage may pass: no response, or a server error (5xx). Client
+// errors, bad keys and answers that fail to parse would fail the same again.
+const isTransient = (err) =>
+  err instanceof ReferenceNetworkError || (err instanceof ReferenceHttpError && err.status >= 500);
+
+const keySpec = (name) => {
+  const spec = REFERENCE_KEYS.find((key) => key.name === name);
+  if (!spec) throw new Error(`Unknown reference key "${name}"`);
+  return spec;
+};
 
-  async getRhymes(word) {
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+async function withRetries(attempt, signal) {
+  for (let retry = 0; ; retry++) {
     try {
-      // Datamuse is excellent for rhymes
-      const res = await fetch(`https://api.datamuse.com/words?rel_rhy=${word}&max=20`);
-      if (!res.ok) throw new Error('Rhyme fetch failed');
-      const data = await res.json();
-      return data.map(item => item.word);
-    } catch (e) {
-      console.warn("Rhyme fetch error:", e);
-      return [];
+      return await attempt();
+    } catch (err) {
+      if (signal?.aborted || retry >= RETRIES || !isTransient(err)) throw err;
+      await delay(BACKOFF_MS * 2 ** retry, signal);
     }
-  },
+  }
+}
 
-  async getDefinition(word) {
-    const { dictKey } = this.getKeys();
-    
-    if (dictKey) {
-      // Merriam-Webster
-      try {
-        const res = await fetch(`3b69cc4c-e581-4a81-93d3-dab9fea39d1e/dictionary/en/${word}?key=${dictKey}`);
-        if (!res.ok) throw new Error('MW Dictionary fetch failed');
-        const data = await res.json();
-        
-        if (Array.isArray(data) && data.length > 0 && typeof data[0] === 'object') {
-          // Extract first short definition
-          return {
-            source: 'Merriam-Webster',
-            text: data[0].shortdef?.[0] || 'No definition found',
-            partOfSpeech: data[0].fl || ''
-          };
-        }
-      } catch (e) {
-        console.warn("MW Dictionary error:", e);
+/**
+ * Joins the lookup in flight under `key`, or starts it. The shared lookup is
+ * aborted once every caller that joined it with a signal has aborted (a
+ * caller without one keeps it going).
+ */
+function joinLookup(inFlight, key, signal, start) {
+  let entry = inFlight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    const promise = start(controller.signal).finally(() => {
+      if (inFlight.get(key)?.promise === promise) inFlight.delete(key);
+    });
+    entry = { controller, promise, waiting: 0 };
+    inFlight.set(key, entry);
+  }
+  if (!signal) {
+    entry.waiting = Infinity;
+    return entry.promise;
+  }
+
+  signal.throwIfAborted();
+  entry.waiting++;
+  const joined = entry;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      if (--joined.waiting === 0) {
+        joined.controller.abort(signal.reason);
+        if (inFlight.get(key) === joined) inFlight.delete(key);
       }
-    }
+      reject(signal.reason);
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+    joined.promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+function assertCapability(capability) {
+  if (!REFERENCE_CAPABILITIES.includes(capability)) {
+    throw new Error(`Unknown reference capability "${capability}"`);
+  }
+}
+
+export const ReferenceEngine = {
+  PROVIDERS: new Map(),
+  // capability -> provider ids, where set
+  CHAINS: new Map(),
+  CACHE: new ReferenceCache(),
+  IN_FLIGHT: new Map(),
+  // provider id -> { failures, openUntil }
+  BREAKERS: new Map(),
+  // "provider id/capability" -> message, for keys the provider turned down
+  KEY_PROBLEMS: new Map(),
 
-    // Fallback: Free Dictionary API
+  /**
+   * Stored keys by REFERENCE_KEYS name, null where none is stored.
+   */
+  getKeys() {
+    return Object.fromEntries(
+      REFERENCE_KEYS.map(({ name, storageKey }) => [
+        name,
+        typeof localStorage === "undefined" ? null : localStorage.getItem(storageKey),
+      ])
+    );
+  },
+
+  /**
+   * Stores a key and hands it to its provider; an empty value clears it.
+   * @param {string} name - A REFERENCE_KEYS name
+   * @param {string|null} value
+   */
+  setKey(name, value) {
+    const { provider, storageKey } = keySpec(name);
+    const key = value?.trim() || null;
+    if (key) localStorage.setItem(storageKey, key);
+    else localStorage.removeItem(storageKey);
+    if (this.PROVIDERS.has(provider)) return this.configureProvider(provider, { [name]: key });
+    return Promise.resolve();
+  },
+
+  setKeys(dictKey, thesKey) {
+    if (dictKey) this.setKey("dictKey", dictKey);
+    if (thesKey) this.setKey("thesKey", thesKey);
+  },
+
+  /**
+   * Tries a key with a lookup of a common word, without storing it or
+   * touching the cache.
+   * @param {string} name - A REFERENCE_KEYS name
+   * @param {string} value
+   * @returns {Promise<{ status: "valid"|"rejected"|"unreachable", message: string }>}
+   */
+  async testKey(name, value) {
+    const { provider: id, capability, label } = keySpec(name);
+    const provider = this.PROVIDERS.get(id);
+    if (!provider) return { status: "unreachable", message: `Reference provider "${id}" is not registered.` };
     try {
-      const res = await fetch(`https://api.dictionaryapi.dev/api/v2/entries/en/${word}`);
-      if (!res.ok) throw new Error('Free Dict fetch failed');
-      const data = await res.json();
-      
-      if (Array.isArray(data) && data.length > 0) {
-        const firstMeaning = data[0].meanings?.[0];
+      await provider.capabilities[capability]("test", { ...provider.config, [name]: value.trim() });
+      return { status: "valid", message: `${provider.name} accepted the key.` };
+    } catch (err) {
+      if (err instanceof ReferenceKeyError) {
         return {
-          source: 'Free Dictionary API',
-          text: firstMeaning?.definitions?.[0]?.definition || 'No definition found',
-          partOfSpeech: firstMeaning?.partOfSpeech || ''
+          status: "rejected",
+          message: `${provider.name} rejected the key. Check that it was copied whole and is a ${label} key.`,
         };
       }
-    } catch (e) {
-      console.warn("Free Dict error:", e);
+      return { status: "unreachable", message: `Could not reach ${provider.name} (${err.message}).` };
     }
+  },
 
-    return null;
+  /**
+   * Adds a provider, replacing any with the same id.
+   * @param {{ id: string, name?: string, priority?: number, offline?: boolean, config?: object, capabilities: object }} provider
+   */
+  registerProvider(provider) {
+    if (!provider?.id) throw new Error("A reference provider needs an id");
+    Object.keys(provider.capabilities || {}).forEach(assertCapability);
+    this.PROVIDERS.set(provider.id, {
+      name: provider.id,
+      priority: 0,
+      ...provider,
+      config: { ...provider.config },
+      capabilities: { ...provider.capabilities },
+    });
   },
 
-  async getSynonyms(word) {
-    const { thesKey } = this.getKeys();
+  unregisterProvider(id) {
+    return this.PROVIDERS.delete(id);
+  },
 
-    if (thesKey) {
-      // Merriam-Webster Thesaurus
-      try {
-        const res = await fetch(`7b564568-9462-41a8-b6cf-60d54bc9e9bc/thesaurus/en/${word}?key=${thesKey}`);
-        if (!res.ok) throw new Error('MW Thesaurus fetch failed');
-        const data = await res.json();
-        
-        if (Array.isArray(data) && data.length > 0 && typeof data[0] === 'object') {
-          return data[0].meta?.syns?.[0] || [];
+  /**
+   * Merges settings into a provider's config. Cached answers may no longer
+   * be what it would say, so the cache is emptied, its circuit closed and
+   * its rejected keys forgotten.
+   * @param {string} id
+   * @param {object} config
+   */
+  configureProvider(id, config) {
+    const provider = this.PROVIDERS.get(id);
+    if (!provider) throw new Error(`Reference provider "${id}" is not registered`);
+    provider.config = { ...provider.config, ...config };
+    this.BREAKERS.delete(id);
+    REFERENCE_CAPABILITIES.forEach((capability) => this.KEY_PROBLEMS.delete(`${id}/${capability}`));
+    return this.CACHE.clear();
+  },
+
+  /**
+   * Whether a provider may be asked now: its circuit is closed, or has been
+   * open for the cooldown (then it gets one lookup).
+   */
+  isAvailable(id) {
+    const breaker = this.BREAKERS.get(id);
+    if (!breaker || breaker.failures < BREAKER_THRESHOLD) return true;
+    if (this.isResting(id)) return false;
+    // Half open: no one else asks it until this lookup is done
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    return true;
+  },
+
+  /**
+   * Whether a provider's circuit is open, without claiming the lookup a
+   * cooled-down one is allowed (see isAvailable).
+   */
+  isResting(id) {
+    const breaker = this.BREAKERS.get(id);
+    return Boolean(breaker && breaker.failures >= BREAKER_THRESHOLD && Date.now() < breaker.openUntil);
+  },
+
+  recordOutcome(id, failed) {
+    if (!failed) {
+      this.BREAKERS.delete(id);
+      return;
+    }
+    const failures = (this.BREAKERS.get(id)?.failures ?? 0) + 1;
+    this.BREAKERS.set(id, {
+      failures,
+      openUntil: failures >= BREAKER_THRESHOLD ? Date.now() + BREAKER_COOLDOWN_MS : 0,
+    });
+  },
+
+  /**
+   * Sets which providers answer a capability, in order. Ids not registered
+   * (or not offering it) are passed over.
+   * @param {string} capability - One of REFERENCE_CAPABILITIES
+   * @param {string[]|null} ids - null goes back to priority order
+   */
+  setFallbackChain(capability, ids) {
+    assertCapability(capability);
+    if (ids) this.CHAINS.set(capability, [...ids]);
+    else this.CHAINS.delete(capability);
+  },
+
+  /**
+   * Providers asked for a capability, in the order they are asked.
+   */
+  getChain(capability) {
+    assertCapability(capability);
+    const chain = this.CHAINS.get(capability);
+    const providers = chain
+      ? chain.map((id) => this.PROVIDERS.get(id)).filter(Boolean)
+      : [...this.PROVIDERS.values()].sort((a, b) => b.priority - a.priority);
+    return providers.filter((provider) => typeof provider.capabilities[capability] === "function");
+  },
+
+  /**
+   * Asks the chain for a capability until a provider answers, or answers
+   * from the cache. "No answer" is cached too, for NO_ANSWER_TTL_MS;
+   * nothing is cached while offline.
+   * @param {string} capability - One of REFERENCE_CAPABILITIES
+   * @param {string} word
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<{ provider: string, source: string, value: * }|null>}
+   *   provider: its id; source: its name. Rejects with signal.reason when
+   *   aborted.
+   */
+  async lookup(capability, word, { signal } = {}) {
+    const chain = this.getChain(capability);
+    const key = [capability, chain.map((provider) => provider.id).join(","), word.toLowerCase()].join("|");
+    const cached = await this.CACHE.get(key);
+    if (cached !== undefined) return cached;
+
+    return joinLookup(this.IN_FLIGHT, key, signal, async (sharedSignal) => {
+      const offline = isOffline();
+      for (const provider of chain) {
+        if (offline && !provider.offline) continue;
+        // Passed over until its config changes, which empties the cache
+        if (this.KEY_PROBLEMS.has(`${provider.id}/${capability}`)) continue;
+        if (!this.isAvailable(provider.id)) continue;
+        try {
+          const value = await withRetries(
+            () => provider.capabilities[capability](word, provider.config, { signal: sharedSignal }),
+            sharedSignal
+          );
+          this.recordOutcome(provider.id, false);
+          if (!isEmpty(value)) {
+            const result = { provider: provider.id, source: provider.name, value };
+            // An offline answer stands in until the connection is back
+            if (!offline) this.CACHE.set(key, result);
+            return result;
+          }
+        } catch (e) {
+          if (sharedSignal.aborted) throw sharedSignal.reason;
+          if (e instanceof ReferenceKeyError) {
+            this.KEY_PROBLEMS.set(`${provider.id}/${capability}`, e.message);
+          } else if (isTransient(e)) {
+            this.recordOutcome(provider.id, true);
+          }
+          console.warn(`ReferenceEngine: ${provider.name} ${capability} lookup failed`, e);
         }
-      } catch (e) {
-        console.warn("MW Thesaurus error:", e);
       }
-    }
+      if (!offline) this.CACHE.set(key, null, { ttlMs: NO_ANSWER_TTL_MS });
+      return null;
+    });
+  },
 
-    // Fallback: Datamuse
-    try {
-      const res = await fetch(`https://api.datamuse.com/words?rel_syn=${word}&max=10`);
-      if (!res.ok) throw new Error('Datamuse Synonym fetch failed');
-      const data = await res.json();
-      return data.map(item => item.word);
-    } catch (e) {
-      console.warn("Datamuse Synonym error:", e);
-      return [];
-    }
-  }
+  /**
+   * Messages for keys providers turned down, for the given capabilities.
+   * @returns {string[]}
+   */
+  getKeyProblems(capabilities = REFERENCE_CAPABILITIES) {
+    return [...this.KEY_PROBLEMS]
+      .filter(([slot]) => capabilities.includes(slot.split("/")[1]))
+      .map(([, message]) => message);
+  },
+
+  /**
+   * Rhymes, definition, synonyms, antonyms and hypernyms at once, each from
+   * the first provider in its chain that answers; spellings to try instead
+   * when no provider defines the word.
+   * @param {string} word
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<{ rhymes: string[], definition: object|null, spellings: string[], synonyms: string[], antonyms: string[], hypernyms: string[], sources: Record<string, string|null>, keyProblems: string[] }>}
+   *   sources: the name of the provider behind each answer; keyProblems: see
+   *   getKeyProblems. Rejects with signal.reason when aborted.
+   */
+  async fetchAll(word, { signal } = {}) {
+    const capabilities = ["rhymes", "definition", "synonyms", "antonyms", "hypernyms"];
+    const settled = await Promise.allSettled(capabilities.map((c) => this.lookup(c, word, { signal })));
+    signal?.throwIfAborted();
+    const [rhymes, definition, synonyms, antonyms, hypernyms] = settled.map((result) =>
+      result.status === "fulfilled" ? result.value : null
+    );
+    const spellings = definition ? null : await this.lookup("spellings", word, { signal }).catch(() => null);
+    signal?.throwIfAborted();
+
+    return {
+      rhymes: rhymes?.value ?? [],
+      definition: definition && { source: definition.source, ...definition.value },
+      spellings: spellings?.value ?? [],
+      synonyms: synonyms?.value ?? [],
+      antonyms: antonyms?.value ?? [],
+      hypernyms: hypernyms?.value ?? [],
+      sources: {
+        rhymes: rhymes?.source ?? null,
+        definition: definition?.source ?? null,
+        spellings: spellings?.source ?? null,
+        synonyms: synonyms?.source ?? null,
+        antonyms: antonyms?.source ?? null,
+        hypernyms: hypernyms?.source ?? null,
+      },
+      keyProblems: this.getKeyProblems([...capabilities, "spellings"]),
+    };
+  },
+
+  async getRhymes(word, options) {
+    return (await this.lookup("rhymes", word, options))?.value ?? [];
+  },
+
+  async getDefinition(word, options) {
+    const result = await this.lookup("definition", word, options);
+    return result && { source: result.source, ...result.value };
+  },
+
+  async getSynonyms(word, options) {
+    return (await this.lookup("synonyms", word, options))?.value ?? [];
+  },
+
+  async getAntonyms(word, options) {
+    return (await this.lookup("antonyms", word, options))?.value ?? [];
+  },
+
+  async getHypernyms(word, options) {
+    return (await this.lookup("hypernyms", word, options))?.value ?? [];
+  },
+
+  async getEtymology(word, options) {
+    return (await this.lookup("etymology", word, options))?.value ?? null;
+  },
+
+  async getSpellings(word, options) {
+    return (await this.lookup("spellings", word, options))?.value ?? [];
+  },
 };
+
+[
+  merriamWebsterProvider(ReferenceEngine.getKeys()),
+  freeDictionaryProvider(),
+  datamuseProvider(),
+  wordNetProvider(),
+].forEach((provider) => ReferenceEngine.registerProvider(provider));
@@ -0,0 +1,147 @@
+// src/lib/referenceCache.js
+
+/**
+ * Reference Cache
+ * Settled reference lookups (see ReferenceEngine.lookup), kept for a while
+ * so a word looked up again answers at once: in memory for the session and,
+ * where IndexedDB exists, in a database that outlives it. Entries older than
+ * their time to live are treated as missing, and those past the default one
+ * are deleted when the database is opened.
+ */
+
+const DB_NAME = "scholomance-references";
+const DB_VERSION = 1;
+const STORE = "lookups";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const promised = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export class ReferenceCache {
+  /**
+   * @param {{ ttlMs?: number, maxEntries?: number, persist?: boolean }} [options]
+   *   ttlMs: how long an answer is trusted; maxEntries: in-memory bound;
+   *   persist: false keeps everything in memory
+   */
+  constructor({ ttlMs = 7 * DAY_MS, maxEntries = 500, persist = true } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.persistent = persist && typeof indexedDB !== "undefined";
+    this.entries = new Map();
+    this.database = null;
+  }
+
+  isFresh(record) {
+    return Date.now() - record.storedAt < (record.ttlMs ?? this.ttlMs);
+  }
+
+  remember(record) {
+    this.entries.delete(record.key);
+    this.entries.set(record.key, record);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * The cached answer without touching the database, or undefined.
+   * @param {string} key
+   */
+  peek(key) {
+    const record = this.entries.get(key);
+    if (!record) return undefined;
+    if (this.isFresh(record)) return record.value;
+    this.entries.delete(key);
+    return undefined;
+  }
+
+  /**
+   * The cached answer, from memory or the database, or undefined.
+   * @param {string} key
+   * @returns {Promise<*>}
+   */
+  async get(key) {
+    const value = this.peek(key);
+    if (value !== undefined) return value;
+
+    const db = await this.openDatabase();
+    if (!db) return undefined;
+    try {
+      const record = await promised(db.transaction(STORE, "readonly").objectStore(STORE).get(key));
+      if (!record || !this.isFresh(record)) return undefined;
+      this.remember(record);
+      return record.value;
+    } catch (err) {
+      console.warn("ReferenceCache: Failed to read cached lookup", err);
+      return undefined;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value - Structured-cloneable answer (null for "no answer")
+   * @param {{ ttlMs?: number }} [options] - ttlMs: replaces the default
+   *   time to live for this entry
+   */
+  async set(key, value, { ttlMs } = {}) {
+    const record = { key, value, storedAt: Date.now(), ...(ttlMs !== undefined && { ttlMs }) };
+    this.remember(record);
+
+    const db = await this.openDatabase();
+    if (!db) return;
+    try {
+      await promised(db.transaction(STORE, "readwrite").objectStore(STORE).put(record));
+    } catch (err) {
+      console.warn("ReferenceCache: Failed to persist lookup", err);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+    const db = await this.openDatabase();
+    if (!db) return;
+    try {
+      await promised(db.transaction(STORE, "readwrite").objectStore(STORE).clear());
+    } catch (err) {
+      console.warn("ReferenceCache: Failed to clear cached lookups", err);
+    }
+  }
+
+  openDatabase() {
+    if (!this.persistent) return Promise.resolve(null);
+    this.database ??= this.open();
+    return this.database;
+  }
+
+  async open() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: "key" }).createIndex("storedAt", "storedAt");
+    };
+    try {
+      const db = await promised(request);
+      await this.pruneExpired(db);
+      return db;
+    } catch (err) {
+      console.warn("ReferenceCache: IndexedDB unavailable, caching in memory only", err);
+      return null;
+    }
+  }
+
+  pruneExpired(db) {
+    const expired = IDBKeyRange.upperBound(Date.now() - this.ttlMs);
+    const cursorRequest = db.transaction(STORE, "readwrite").objectStore(STORE).index("storedAt").openCursor(expired);
+    return new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return resolve();
+        cursor.delete();
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+}
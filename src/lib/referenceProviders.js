@@ -0,0 +1,356 @@
+// src/lib/referenceProviders.js
+
+/**
+ * Reference Providers
+ * Sources ReferenceEngine can ask about a word. A provider is a plain object:
+ * - id: unique key, used in fallback chains
+ * - name: shown as the source of an answer
+ * - priority: higher is asked first where no fallback chain is set
+ * - offline: true if it answers without a network connection; others are
+ *   passed over while the browser reports being offline
+ * - config: its settings (API keys, result counts), passed to every lookup
+ *   and changed through ReferenceEngine.configureProvider
+ * - capabilities: the lookups it offers, keyed by REFERENCE_CAPABILITIES,
+ *   each (word, config, { signal }) => Promise<value|null>; signal is an
+ *   AbortSignal to hand to fetch
+ *
+ * A lookup resolving null or an empty list has no answer, and the next
+ * provider in the chain is asked; one that throws is skipped the same way
+ * (a ReferenceNetworkError or a 5xx ReferenceHttpError after retries, see
+ * ReferenceEngine.lookup), and one that throws a ReferenceKeyError is not
+ * asked that again until its config changes.
+ * Answers must be structured-cloneable, as they are cached.
+ * Values by capability:
+ * - definition: { text, partOfSpeech, entries? }, where text and
+ *   partOfSpeech are the first sense and entries the word's homographs with
+ *   every sense (see merriamWebster.js for the shape)
+ * - synonyms, antonyms, hypernyms (broader terms), rhymes: string[]
+ * - spellings: string[], words to try when nothing defines the word
+ * - etymology: string
+ */
+
+import { parseCollegiate, parseSpellings } from "./merriamWebster.js";
+
+export const REFERENCE_CAPABILITIES = [
+  "definition",
+  "synonyms",
+  "antonyms",
+  "hypernyms",
+  "rhymes",
+  "etymology",
+  "spellings",
+];
+
+export class ReferenceHttpError extends Error {
+  constructor(label, status) {
+    super(`${label}: HTTP ${status}`);
+    this.name = "ReferenceHttpError";
+    this.status = status;
+  }
+}
+
+// The request got no response at all (offline, reset, timed out); it may
+// get one next time
+export class ReferenceNetworkError extends Error {
+  constructor(label, cause) {
+    super(`${label}: ${cause?.message ?? "no response"}`, { cause });
+    this.name = "ReferenceNetworkError";
+  }
+}
+
+// The provider turned the API key down; retrying will not help
+export class ReferenceKeyError extends Error {
+  constructor(label) {
+    super(`${label}: the API key was rejected`);
+    this.name = "ReferenceKeyError";
+  }
+}
+
+// fetch() rejecting means no response; aborting is the caller's own doing
+async function fetchOrFail(url, label, signal) {
+  try {
+    return await fetch(url, { signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw new ReferenceNetworkError(label, err);
+  }
+}
+
+// Resolves null when the word is not found. MW answers a bad key with a
+// plain-text notice instead of an error status.
+async function fetchJson(url, label, signal) {
+  const res = await fetchOrFail(url, label, signal);
+  if (res.status === 404) return null;
+  if (res.status === 401 || res.status === 403) throw new ReferenceKeyError(label);
+  if (!res.ok) throw new ReferenceHttpError(label, res.status);
+
+  const body = await res.text();
+  try {
+    return JSON.parse(body);
+  } catch {
+    if (/api key/i.test(body)) throw new ReferenceKeyError(label);
+    throw new Error(`${label}: response is not JSON`);
+  }
+}
+
+// Entry lists hold strings instead of entries when a word is not found
+const firstEntry = (data) => (Array.isArray(data) && typeof data[0] === "object" ? data[0] : null);
+
+const MW_API = "https://www.dictionaryapi.com/api/v3/references";
+// Collegiate responses kept for the spellings lookup that follows a miss
+const MW_RESPONSES_KEPT = 20;
+
+/**
+ * Merriam-Webster Collegiate dictionary and thesaurus. Each needs its own
+ * API key; without one that lookup has no answer. Definitions carry every
+ * homograph and sense, pronunciations and etymologies; spellings are MW's
+ * suggestions for a word it has no entry for, read from the response the
+ * definition lookup already fetched.
+ * @param {{ dictKey?: string|null, thesKey?: string|null }} [config]
+ */
+export function merriamWebsterProvider({ dictKey = null, thesKey = null } = {}) {
+  // "key|word" -> pending or settled response; failures are not kept
+  const responses = new Map();
+  const fetchCollegiate = (word, config, signal) => {
+    const id = `${config.dictKey}|${word.toLowerCase()}`;
+    if (!responses.has(id)) {
+      const pending = fetchJson(
+        `${MW_API}/collegiate/json/${encodeURIComponent(word)}?key=${encodeURIComponent(config.dictKey)}`,
+        "MW Dictionary",
+        signal
+      );
+      pending.catch(() => responses.delete(id));
+      responses.set(id, pending);
+      if (responses.size > MW_RESPONSES_KEPT) responses.delete(responses.keys().next().value);
+    }
+    return responses.get(id);
+  };
+
+  return {
+    id: "merriam-webster",
+    name: "Merriam-Webster",
+    priority: 30,
+    config: { dictKey, thesKey },
+    capabilities: {
+      async definition(word, config, { signal } = {}) {
+        if (!config.dictKey) return null;
+        return parseCollegiate(await fetchCollegiate(word, config, signal), word);
+      },
+
+      async spellings(word, config, { signal } = {}) {
+        if (!config.dictKey) return null;
+        return parseSpellings(await fetchCollegiate(word, config, signal));
+      },
+
+      async synonyms(word, config, { signal } = {}) {
+        if (!config.thesKey) return null;
+        const entry = firstEntry(
+          await fetchJson(
+            `${MW_API}/thesaurus/json/${encodeURIComponent(word)}?key=${encodeURIComponent(config.thesKey)}`,
+            "MW Thesaurus",
+            signal
+          )
+        );
+        return entry?.meta?.syns?.[0] || null;
+      },
+    },
+  };
+}
+
+/**
+ * Free Dictionary API (dictionaryapi.dev), no key. Each part of speech of
+ * each of its entries becomes a definition entry.
+ */
+export function freeDictionaryProvider() {
+  const fetchEntries = async (word, signal) => {
+    const data = await fetchJson(
+      `https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(word)}`,
+      "Free Dictionary",
+      signal
+    );
+    return Array.isArray(data) ? data.filter((item) => item && typeof item === "object") : [];
+  };
+
+  return {
+    id: "free-dictionary",
+    name: "Free Dictionary API",
+    priority: 20,
+    config: {},
+    capabilities: {
+      async definition(word, config, { signal } = {}) {
+        const entries = (await fetchEntries(word, signal)).flatMap((entry) =>
+          (entry.meanings || []).map((meaning) => ({
+            headword: entry.word || word,
+            homograph: null,
+            partOfSpeech: meaning.partOfSpeech || "",
+            pronunciations: entry.phonetic ? [entry.phonetic] : [],
+            senses: (meaning.definitions || [])
+              .filter((d) => d.definition)
+              .map((d, i) => ({ number: String(i + 1), text: d.definition })),
+            etymology: entry.origin || null,
+          }))
+        );
+        const first = entries.find((entry) => entry.senses.length > 0);
+        if (!first) return null;
+        return { text: first.senses[0].text, partOfSpeech: first.partOfSpeech, entries };
+      },
+
+      async etymology(word, config, { signal } = {}) {
+        return (await fetchEntries(word, signal)).find((entry) => entry.origin)?.origin || null;
+      },
+    },
+  };
+}
+
+/**
+ * Datamuse, no key.
+ * @param {{ maxRhymes?: number, maxSynonyms?: number }} [config]
+ */
+export function datamuseProvider({ maxRhymes = 20, maxSynonyms = 10 } = {}) {
+  const words = async (relation, word, max, signal) => {
+    const data = await fetchJson(
+      `https://api.datamuse.com/words?${relation}=${encodeURIComponent(word)}&max=${max}`,
+      "Datamuse",
+      signal
+    );
+    return (data || []).map((item) => item.word);
+  };
+
+  return {
+    id: "datamuse",
+    name: "Datamuse",
+    priority: 10,
+    config: { maxRhymes, maxSynonyms },
+    capabilities: {
+      rhymes: (word, config, { signal } = {}) => words("rel_rhy", word, config.maxRhymes, signal),
+      synonyms: (word, config, { signal } = {}) => words("rel_syn", word, config.maxSynonyms, signal),
+    },
+  };
+}
+
+const POS_NAMES = { n: "noun", v: "verb", a: "adjective", r: "adverb" };
+
+// The word, then base words it may be an inflection of
+function baseForms(word) {
+  const forms = [word];
+  const strip = (suffix, ...replacements) => {
+    if (!word.endsWith(suffix) || word.length <= suffix.length + 2) return;
+    const stem = word.slice(0, -suffix.length);
+    replacements.forEach((ending) => forms.push(stem + ending));
+    // Doubled consonants: "running" -> "run", "bigger" -> "big"
+    if (stem.at(-1) === stem.at(-2)) forms.push(stem.slice(0, -1));
+  };
+  strip("ies", "y");
+  strip("ied", "y");
+  strip("ier", "y");
+  strip("iest", "y");
+  strip("es", "");
+  if (!word.endsWith("ss")) strip("s", "");
+  strip("ed", "", "e");
+  strip("ing", "", "e");
+  strip("er", "", "e");
+  strip("est", "", "e");
+  return forms;
+}
+
+/**
+ * WordNet subset bundled in public/thesaurus/ (see
+ * scripts/build-thesaurus.js), the last resort: it works without a
+ * network connection. Each letter's shard is loaded the first time a word
+ * starting with it is looked up; a shard that is not there (HTTP 404) is a
+ * lasting "no answer", not an error to retry. Inflected words fall back to
+ * their base word ("darker" -> "dark").
+ * @param {{ loadAsset?: (path: string) => Promise<object|null> }} [options]
+ *   loadAsset: fetches a JSON file by its public path, null when it is
+ *   missing; Node callers pass a filesystem loader
+ */
+export function wordNetProvider({
+  loadAsset = (path) =>
+    fetchOrFail(path, path).then((r) => {
+      if (r.status === 404) return null;
+      if (!r.ok) throw new ReferenceHttpError(path, r.status);
+      return r.json();
+    }),
+} = {}) {
+  const shards = new Map();
+
+  const lookupSenses = async (word) => {
+    const lower = word.toLowerCase();
+    if (!/^[a-z]/.test(lower)) return null;
+    if (!shards.has(lower[0])) {
+      const pending = loadAsset(`/thesaurus/${lower[0]}.json`);
+      // A failed load may be retried by a later lookup
+      pending.catch(() => shards.delete(lower[0]));
+      shards.set(lower[0], pending);
+    }
+    const shard = await shards.get(lower[0]);
+    if (!shard) return null;
+    const base = baseForms(lower).find((form) => Object.hasOwn(shard, form));
+    return base ? { word: base, senses: shard[base] } : null;
+  };
+
+  const related = (field) => async (word) => {
+    const found = await lookupSenses(word);
+    return found && [...new Set(found.senses.flatMap((sense) => sense[field] || []))];
+  };
+
+  return {
+    id: "wordnet",
+    name: "WordNet (offline)",
+    priority: 0,
+    offline: true,
+    config: {},
+    capabilities: {
+      async definition(word) {
+        const found = await lookupSenses(word);
+        if (!found) return null;
+
+        const byPos = new Map();
+        found.senses.forEach((sense) => {
+          if (!byPos.has(sense.p)) byPos.set(sense.p, []);
+          byPos.get(sense.p).push(sense.d);
+        });
+        const entries = [...byPos].map(([pos, definitions]) => ({
+          headword: found.word,
+          homograph: null,
+          partOfSpeech: POS_NAMES[pos],
+          pronunciations: [],
+          senses: definitions.map((text, i) => ({ number: String(i + 1), text })),
+          etymology: null,
+        }));
+        return { text: entries[0].senses[0].text, partOfSpeech: entries[0].partOfSpeech, entries };
+      },
+      synonyms: related("s"),
+      antonyms: related("a"),
+      hypernyms: related("h"),
+    },
+  };
+}
+
+/**
+ * Answers from a table instead of the network, for tests and offline use.
+ * It offers only the capabilities some entry has.
+ * @param {Record<string, { definition?: object, synonyms?: string[], antonyms?: string[], hypernyms?: string[], rhymes?: string[], etymology?: string, spellings?: string[] }>} entries
+ *   By word, any case
+ * @param {{ id?: string, name?: string, priority?: number }} [options]
+ */
+export function createFixtureProvider(entries, { id = "fixture", name = "Fixture", priority = 100 } = {}) {
+  const table = new Map(Object.entries(entries).map(([word, entry]) => [word.toLowerCase(), entry]));
+  const offered = REFERENCE_CAPABILITIES.filter((capability) =>
+    [...table.values()].some((entry) => entry[capability] != null)
+  );
+
+  return {
+    id,
+    name,
+    priority,
+    offline: true,
+    config: {},
+    capabilities: Object.fromEntries(
+      offered.map((capability) => [
+        capability,
+        async (word) => table.get(word.toLowerCase())?.[capability] ?? null,
+      ])
+    ),
+  };
+}
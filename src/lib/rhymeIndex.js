@@ -0,0 +1,160 @@
+// src/lib/rhymeIndex.js
+
+/**
+ * Rhyme Index
+ * Offline reverse index over the lexicon for rhyme search. Every entry is
+ * filed under its rhymeKey (stressed vowel family plus everything after
+ * it), its vowel family and its coda group, so a lookup
+ * only scores the buckets that can reach the requested tier. Candidates are
+ * ranked by the rules-file score (engine.scoreAnalyses), so tiers mean the
+ * same thing here as everywhere else in the app.
+ *
+ * The index is built once per engine and dialect pack, on first search;
+ * building loads every lexicon shard, so call it from the worker where
+ * possible. Only the latest dialect's index is kept.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+
+const indexes = new WeakMap();
+
+function addTo(map, key, entry) {
+  const bucket = map.get(key);
+  if (bucket) bucket.push(entry);
+  else map.set(key, [entry]);
+}
+
+function buildIndex(engine) {
+  const index = {
+    byRhymeKey: new Map(),
+    byFamily: new Map(),
+    byCodaGroup: new Map(),
+  };
+
+  const add = (word, analysis) => {
+    const entry = { word, analysis };
+    addTo(index.byRhymeKey, analysis.rhymeKey, entry);
+    addTo(index.byFamily, analysis.vowelFamily, entry);
+    addTo(index.byCodaGroup, engine.getCodaGroup(analysis.coda), entry);
+  };
+
+  const seen = new Set();
+  // Hand-tuned dictionary entries win over the lexicon
+  Object.keys(engine.DICT_V2?.words || {}).forEach((word) => {
+    seen.add(word);
+    add(word, engine.analyzeWord(word));
+  });
+  engine.LEXICON_SHARDS.forEach((shard) => {
+    Object.entries(shard).forEach(([word, pronunciation]) => {
+      if (seen.has(word) || !/^[A-Z']+$/.test(word)) return;
+      add(word, engine.analyzePhonemes(engine.applyDialect(word, pronunciation.split(" "))));
+    });
+  });
+
+  return index;
+}
+
+// Parts of the stressed rhyme tail two analyses share from the end: consonant
+// runs and vowel families, the stressed vowel's family last
+function sharedTail(a, b) {
+  const partsA = [a.vowelFamily, ...(a.rhymeTail?.split("-") ?? [])];
+  const partsB = [b.vowelFamily, ...(b.rhymeTail?.split("-") ?? [])];
+  let n = 0;
+  while (
+    n < partsA.length &&
+    n < partsB.length &&
+    partsA[partsA.length - 1 - n] === partsB[partsB.length - 1 - n]
+  ) {
+    n++;
+  }
+  return n;
+}
+
+/**
+ * Buckets worth scoring for a tier. Every tier but consonance requires a
+ * vowel match; perfect also requires the whole rhyme tail, so only words
+ * with the same rhymeKey can reach it.
+ */
+function candidatesFor(index, analysis, tier, engine) {
+  const group = engine.getCodaGroup(analysis.coda);
+  if (tier === "perfect") return index.byRhymeKey.get(analysis.rhymeKey) || [];
+  if (tier === "consonance") return index.byCodaGroup.get(group) || [];
+
+  const family = index.byFamily.get(analysis.vowelFamily) || [];
+  if (tier) return family;
+  return [...new Set([...family, ...(index.byCodaGroup.get(group) || [])])];
+}
+
+export const RhymeIndex = {
+  /**
+   * Builds (once) and returns the index for an engine.
+   * @returns {Promise<{ byRhymeKey: Map, byFamily: Map, byCodaGroup: Map }>}
+   */
+  build(engine = PhonemeEngine) {
+    const dialect = engine.DIALECT?.meta.id ?? null;
+    if (indexes.get(engine)?.dialect !== dialect) {
+      indexes.set(engine, {
+        dialect,
+        index: engine.loadLexicon().then(() => buildIndex(engine)),
+      });
+    }
+    return indexes.get(engine).index;
+  },
+
+  /**
+   * Ranked rhymes for a word.
+   * @param {string} word
+   * @param {{ tier?: string, syllables?: number, common?: boolean, limit?: number }} [options]
+   *   tier: only return this tier (perfect, near, slant, assonance, consonance)
+   *   syllables: only return candidates with this many syllables
+   *   common: only return words in everyday use (engine.isCommonWord)
+   * @returns {Promise<{ word: string, score: number, tier: string, syllables: number }[]>}
+   */
+  async findRhymes(word, { tier, syllables, common = false, limit = 20 } = {}, engine = PhonemeEngine) {
+    const upper = String(word || "").toUpperCase().replace(/[^A-Z']/g, "");
+    if (!upper) return [];
+
+    const index = await this.build(engine);
+    const source = engine.analyzeWord(upper);
+    if (!source) return [];
+
+    // Overridden words are scored by their corrected pronunciation, wherever
+    // the index filed them
+    const overridden = [...engine.OVERRIDES.keys()].map((w) => ({
+      word: w,
+      analysis: engine.analyzeWord(w),
+    }));
+    const candidates = candidatesFor(index, source, tier, engine)
+      .filter((candidate) => !engine.OVERRIDES.has(candidate.word))
+      .concat(overridden);
+
+    const results = [];
+    candidates.forEach((candidate) => {
+      if (candidate.word === upper) return;
+      if (syllables && candidate.analysis.syllableCount !== syllables) return;
+      if (common && !engine.isCommonWord(candidate.word)) return;
+
+      const result = engine.scoreAnalyses(source, candidate.analysis);
+      if (!result?.tier || (tier && result.tier !== tier)) return;
+
+      results.push({
+        word: candidate.word.toLowerCase(),
+        score: result.score,
+        tier: result.tier,
+        syllables: candidate.analysis.syllableCount,
+        tail: sharedTail(source, candidate.analysis),
+      });
+    });
+
+    // Best score first; ties go to the longest shared tail, the closest
+    // syllable count, then A-Z
+    results.sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.tail - a.tail ||
+        Math.abs(a.syllables - source.syllableCount) - Math.abs(b.syllables - source.syllableCount) ||
+        a.word.localeCompare(b.word)
+    );
+    return results.slice(0, limit).map(({ tail: _tail, ...rest }) => rest);
+  },
+};
@@ -0,0 +1,172 @@
+// src/lib/rhymeMetrics.js
+
+/**
+ * Rhyme Metrics
+ * Per-bar and per-scroll numbers for comparing drafts:
+ * - internalRhymes: words in a bar that rhyme with another word in that bar
+ * - density: rhyming syllables / total syllables. A syllable counts as
+ *   rhyming when it sits in the rhyming tail of a word that rhymes with a
+ *   word in the same or a neighbouring bar, or inside a fusion (multi) match
+ *   with a neighbouring bar.
+ * - longestChain: most consecutive bars carrying the same rhyme sound
+ * - dominantFamily: most used vowel family over stressed syllables
+ *
+ * Words must already be analyzable: call engine.ensureWords() first.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { tokenizeWords, toSyllableStream, matchFusion } from "./fusionRhymes.js";
+import { SCHEME_TIERS } from "./rhymeScheme.js";
+import { runSteps } from "./steps.js";
+
+function rhymes(wordA, wordB, engine) {
+  if (wordA === wordB) return false;
+  const result = engine.scoreRhyme(wordA, wordB);
+  return !!result && SCHEME_TIERS.includes(result.tier);
+}
+
+// Ghost-only words ("the", "a") never count as rhymes on their own.
+function isStressed(analysis) {
+  return analysis?.syllables?.some((s) => s.stress !== "L");
+}
+
+/**
+ * Rhyme class used for chains: vowel family plus coda group, so "time" and
+ * "line" carry the same sound.
+ */
+function rhymeClass(analysis, engine) {
+  return `${analysis.vowelFamily}-${engine.getCodaGroup(analysis.coda)}`;
+}
+
+function countFamilies(streams) {
+  const counts = {};
+  streams.flat().forEach((syllable) => {
+    if (syllable.stress === "L") return;
+    counts[syllable.family] = (counts[syllable.family] || 0) + 1;
+  });
+  return counts;
+}
+
+function topFamily(counts) {
+  const [family, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] ?? [];
+  return family ? { family, count } : null;
+}
+
+/**
+ * @param {string} content - Scroll content
+ * @returns {{
+ *   lines: { index: number, text: string, syllables: number, rhymingSyllables: number, density: number, internalRhymes: number, dominantFamily: object|null }[],
+ *   totals: { syllables: number, rhymingSyllables: number, density: number, internalRhymes: number },
+ *   longestChain: { length: number, rhyme: string, startLine: number }|null,
+ *   dominantFamily: { family: string, count: number }|null
+ * }}
+ */
+export function computeRhymeMetrics(content, engine = PhonemeEngine) {
+  return runSteps(rhymeMetricsSteps(content, engine));
+}
+
+/**
+ * computeRhymeMetrics() one bar at a time (see steps.js).
+ */
+export function* rhymeMetricsSteps(content, engine = PhonemeEngine) {
+  const bars = String(content || "")
+    .split(/\r?\n/)
+    .map((text, index) => ({ text, index }))
+    .filter((bar) => bar.text.trim());
+
+  const words = bars.map((bar) => tokenizeWords(bar.text));
+  const analyses = words.map((line) => line.map((w) => engine.analyzeWord(w)));
+  const streams = bars.map((bar) => toSyllableStream(bar.text, engine));
+
+  const lines = [];
+  for (const [b, bar] of bars.entries()) {
+    const stream = streams[b];
+    const rhymingSyllables = new Set();
+
+    // Offsets of each word's syllables inside the bar's stream
+    const offsets = [];
+    let offset = 0;
+    analyses[b].forEach((analysis, w) => {
+      offsets[w] = offset;
+      offset += analysis?.syllableCount ?? 0;
+    });
+
+    const neighbours = [b - 1, b, b + 1].filter((n) => n >= 0 && n < bars.length);
+    let internalRhymes = 0;
+
+    words[b].forEach((word, w) => {
+      const analysis = analyses[b][w];
+      if (!isStressed(analysis)) return;
+
+      const internal = words[b].some((other, o) => o !== w && isStressed(analyses[b][o]) && rhymes(word, other, engine));
+      if (internal) internalRhymes++;
+
+      const external = neighbours.some(
+        (n) => n !== b && words[n].some((other, o) => isStressed(analyses[n][o]) && rhymes(word, other, engine))
+      );
+
+      if (internal || external) {
+        // Rhyming tail: from the last hard-attack syllable to the end
+        const tailStart = Math.max(0, analysis.syllables.map((s) => s.stress).lastIndexOf("H"));
+        for (let s = tailStart; s < analysis.syllableCount; s++) {
+          rhymingSyllables.add(offsets[w] + s);
+        }
+      }
+    });
+
+    neighbours
+      .filter((n) => n !== b)
+      .forEach((n) => {
+        matchFusion(bar.text, bars[n].text, engine).forEach((match) => {
+          for (let s = match.a.start; s < match.a.end; s++) rhymingSyllables.add(s);
+        });
+      });
+
+    const syllables = stream.length;
+    lines.push({
+      index: bar.index,
+      text: bar.text,
+      syllables,
+      rhymingSyllables: rhymingSyllables.size,
+      density: syllables ? rhymingSyllables.size / syllables : 0,
+      internalRhymes,
+      dominantFamily: topFamily(countFamilies([stream])),
+    });
+    yield;
+  }
+
+  // Longest chain of consecutive bars sharing a rhyme class
+  let longestChain = null;
+  const running = new Map();
+  analyses.forEach((lineAnalyses, b) => {
+    const classes = new Set(
+      lineAnalyses.filter(isStressed).map((analysis) => rhymeClass(analysis, engine))
+    );
+    for (const rhyme of [...running.keys()]) {
+      if (!classes.has(rhyme)) running.delete(rhyme);
+    }
+    classes.forEach((rhyme) => {
+      const chain = running.get(rhyme) ?? { rhyme, startLine: bars[b].index, length: 0 };
+      chain.length++;
+      running.set(rhyme, chain);
+      if (chain.length > 1 && (!longestChain || chain.length > longestChain.length)) {
+        longestChain = { ...chain };
+      }
+    });
+  });
+
+  const syllables = lines.reduce((sum, l) => sum + l.syllables, 0);
+  const rhymingSyllables = lines.reduce((sum, l) => sum + l.rhymingSyllables, 0);
+
+  return {
+    lines,
+    totals: {
+      syllables,
+      rhymingSyllables,
+      density: syllables ? rhymingSyllables / syllables : 0,
+      internalRhymes: lines.reduce((sum, l) => sum + l.internalRhymes, 0),
+    },
+    longestChain,
+    dominantFamily: topFamily(countFamilies(streams)),
+  };
+}
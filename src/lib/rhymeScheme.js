@@ -0,0 +1,170 @@
+// src/lib/rhymeScheme.js
+
+/**
+ * Rhyme Scheme Detection
+ * Splits a scroll into bars (one per line, stanzas separated by blank lines)
+ * and letters the end rhymes with PhonemeEngine.scoreRhyme() tiers.
+ *
+ * Words must already be analyzable: call engine.ensureWords() first.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { tokenizeWords } from "./fusionRhymes.js";
+import { runSteps } from "./steps.js";
+
+// Tiers strong enough to share a scheme letter (consonance alone is not).
+export const SCHEME_TIERS = ["perfect", "near", "slant", "assonance"];
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+const chunk = (scheme, size) =>
+  scheme.length % size === 0 ? scheme.match(new RegExp(`.{${size}}`, "g")) : null;
+
+const isMonorhyme = (s) => s.length > 1 && new Set(s).size === 1;
+
+// AABB CCDD
+const isCouplets = (s) => {
+  const pairs = chunk(s, 2);
+  return !!pairs && pairs.length > 1 && pairs.every((p, i) => p[0] === p[1] && p[0] !== pairs[i - 1]?.[0]);
+};
+
+// ABAB CDCD
+const isAlternating = (s) =>
+  !!chunk(s, 4)?.every((q) => q[0] === q[2] && q[1] === q[3] && q[0] !== q[1]);
+
+// ABBA
+const isEnclosed = (s) =>
+  !!chunk(s, 4)?.every((q) => q[0] === q[3] && q[1] === q[2] && q[0] !== q[1]);
+
+// ABA BCB CDC: each tercet's middle rhyme carries into the next
+const isChained = (s) => {
+  const tercets = chunk(s, 3);
+  return (
+    !!tercets &&
+    tercets.length > 1 &&
+    tercets.every((t, i) => t[0] === t[2] && t[0] !== t[1] && (i === 0 || t[0] === tercets[i - 1][1]))
+  );
+};
+
+const PATTERNS = [
+  { id: "monorhyme", label: "Monorhyme", test: isMonorhyme },
+  { id: "couplets", label: "Couplets (AABB)", test: isCouplets },
+  { id: "alternating", label: "Alternating (ABAB)", test: isAlternating },
+  { id: "enclosed", label: "Enclosed (ABBA)", test: isEnclosed },
+  { id: "chained", label: "Chained (ABA BCB)", test: isChained },
+];
+
+// Single characters keep the pattern tests simple; past 52 rhymes letters wrap.
+export function letterFor(index) {
+  return LETTERS[index % LETTERS.length];
+}
+
+/**
+ * @param {string} content
+ * @returns {{ index: number, stanza: number, text: string, endWord: string|null }[]}
+ */
+export function splitBars(content) {
+  const bars = [];
+  let stanza = 0;
+  let previousBlank = false;
+
+  String(content || "").split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      if (bars.length && !previousBlank) stanza++;
+      previousBlank = true;
+      return;
+    }
+    previousBlank = false;
+    const words = tokenizeWords(line);
+    bars.push({ index, stanza, text: line, endWord: words.at(-1) ?? null });
+  });
+
+  return bars;
+}
+
+export function classifyPattern(scheme) {
+  return PATTERNS.find((p) => p.test(scheme)) ?? null;
+}
+
+/**
+ * Letters every bar's end rhyme and names the stanza patterns.
+ * A bar takes the letter of the best-scoring earlier bar in its stanza whose
+ * tier is in `tiers`; otherwise it opens a new letter.
+ *
+ * @param {string} content - Scroll content
+ * @param {{ tiers?: string[] }} [options]
+ * @returns {{
+ *   bars: { index: number, stanza: number, text: string, endWord: string|null, letter: string, tier: string|null, score: number, rhymesWith: number|null }[],
+ *   stanzas: { scheme: string, pattern: { id: string, label: string }|null }[],
+ *   scheme: string,
+ *   chains: { letter: string, start: number, length: number }[]
+ * }}
+ */
+export function detectRhymeScheme(content, options, engine = PhonemeEngine) {
+  return runSteps(rhymeSchemeSteps(content, options, engine));
+}
+
+/**
+ * detectRhymeScheme() one bar at a time (see steps.js).
+ */
+export function* rhymeSchemeSteps(content, { tiers = SCHEME_TIERS } = {}, engine = PhonemeEngine) {
+  const bars = splitBars(content);
+  const lettered = [];
+
+  let stanzaStart = 0;
+  let nextLetter = 0;
+  for (const [i, bar] of bars.entries()) {
+    if (i > 0 && bar.stanza !== bars[i - 1].stanza) {
+      stanzaStart = i;
+      nextLetter = 0;
+    }
+
+    let best = null;
+    for (let j = stanzaStart; j < i; j++) {
+      const other = lettered[j];
+      if (!bar.endWord || !other.endWord) continue;
+      const result = engine.scoreRhyme(bar.endWord, other.endWord);
+      if (!result || !tiers.includes(result.tier)) continue;
+      if (!best || result.score > best.score) best = { ...result, index: j };
+    }
+
+    lettered.push({
+      ...bar,
+      letter: best ? lettered[best.index].letter : letterFor(nextLetter++),
+      tier: best?.tier ?? null,
+      score: best?.score ?? 0,
+      rhymesWith: best ? lettered[best.index].index : null,
+    });
+    yield;
+  }
+
+  const stanzas = [];
+  lettered.forEach((bar) => {
+    stanzas[bar.stanza] ??= { scheme: "" };
+    stanzas[bar.stanza].scheme += bar.letter;
+  });
+  stanzas.forEach((stanza) => {
+    stanza.pattern = classifyPattern(stanza.scheme);
+  });
+
+  // Chains: three or more consecutive bars on the same rhyme
+  const chains = [];
+  lettered.forEach((bar, i) => {
+    const prev = lettered[i - 1];
+    const current = chains.at(-1);
+    if (prev && prev.stanza === bar.stanza && prev.letter === bar.letter && current?.end === i - 1) {
+      current.end = i;
+    } else {
+      chains.push({ letter: bar.letter, start: i, end: i });
+    }
+  });
+
+  return {
+    bars: lettered,
+    stanzas,
+    scheme: stanzas.map((s) => s.scheme).join(" "),
+    chains: chains
+      .filter((c) => c.end - c.start >= 2)
+      .map((c) => ({ letter: c.letter, start: lettered[c.start].index, length: c.end - c.start + 1 })),
+  };
+}
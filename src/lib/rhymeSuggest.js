@@ -0,0 +1,143 @@
+// src/lib/rhymeSuggest.js
+
+/**
+ * Line-Ending Suggestions
+ * Endings for the bar being written that rhyme with the bar before it,
+ * grouped by tier and ranked by rules-file score:
+ * - words: the offline rhyme index's matches for the previous end word,
+ *   in everyday use (no "beim" for "time")
+ * - phrases: a word from the writer's own vocabulary followed by a
+ *   one-syllable rhyme, heard against the previous bar's last two words.
+ *   Only phrases whose stressed vowels match enough of the bar's to earn
+ *   the fusion (multisyllabic) bonus are kept, and function words make no
+ *   head, so "on time" brings back "con crime" but not "the crime".
+ *
+ * Searching builds the rhyme index, which loads the whole lexicon: call it
+ * from the worker where possible.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { RhymeIndex } from "./rhymeIndex.js";
+import { tokenizeWords } from "./fusionRhymes.js";
+
+// Tiers worth offering as an end rhyme, best first
+export const SUGGESTION_TIERS = ["perfect", "near", "slant", "assonance"];
+
+// Articles, pronouns, prepositions, conjunctions and auxiliaries: said
+// unstressed in a phrase, whatever the lexicon marks
+const FUNCTION_WORDS = new Set(
+  [
+    "A", "AN", "THE", "I", "ME", "MY", "YOU", "YOUR", "HE", "HIM", "HIS", "SHE", "HER", "IT", "ITS",
+    "WE", "US", "OUR", "THEY", "THEM", "THEIR", "OF", "TO", "IN", "ON", "AT", "BY", "FOR", "FROM",
+    "WITH", "AS", "AND", "OR", "BUT", "NOR", "SO", "IF", "THAN", "THAT", "IS", "AM", "ARE", "WAS",
+    "WERE", "BE", "BEEN", "DO", "DOES", "DID", "HAS", "HAVE", "HAD", "CAN", "WILL", "WOULD",
+  ]
+);
+
+const WORD_CANDIDATES = 60;
+const PHRASE_TAILS = 12;
+const PHRASES_PER_TIER = 3;
+
+// Stable: equal scores keep the rhyme index's order
+const byScore = (a, b) => b.score - a.score;
+
+// Vowel family of each stressed vowel (primary or secondary), in word
+// order; null for unstressed ones
+function stressedFamilies({ phonemes }, engine) {
+  const families = [];
+  phonemes.forEach((p, i) => {
+    if (!engine.isVowelPhoneme(p)) return;
+    families.push(p.endsWith("0") ? null : engine.familyForVowel(p, phonemes[i - 1], phonemes[i + 1]));
+  });
+  return families;
+}
+
+// Whether two analyses earn the fusion bonus on stressed vowels alone: an
+// unstressed "the" matching "on" by family does not count
+function fusesOnStress(a, b, engine) {
+  const fusion = engine.RULES_V2?.scoring?.fusion_bonus;
+  if (!fusion?.enabled) return false;
+  const tailA = stressedFamilies(a, engine).slice(-fusion.window_syllables);
+  const tailB = stressedFamilies(b, engine).slice(-fusion.window_syllables);
+  let hits = 0;
+  for (let i = 1; i <= Math.min(tailA.length, tailB.length); i++) {
+    const family = tailA[tailA.length - i];
+    if (family && family === tailB[tailB.length - i]) hits++;
+  }
+  return hits >= fusion.min_vowel_hits;
+}
+
+function phraseSuggestions(barWords, rhymes, vocabulary, engine) {
+  const tailWords = barWords.slice(-2);
+  const target = engine.analyzePhrase(tailWords);
+  if (!target) return [];
+
+  const tails = rhymes
+    .filter((r) => r.syllables === 1 && (r.tier === "perfect" || r.tier === "near"))
+    .slice(0, PHRASE_TAILS)
+    .map((r) => r.word.toUpperCase());
+  const heads = [...new Set(vocabulary.map((word) => String(word).toUpperCase()))].filter(
+    (word) => word && !tailWords.includes(word) && !FUNCTION_WORDS.has(word)
+  );
+
+  const phrases = [];
+  heads.forEach((head) => {
+    tails.forEach((tail) => {
+      const analysis = engine.analyzePhrase([head, tail]);
+      const result = analysis && engine.scoreAnalyses(target, analysis);
+      if (!result || !SUGGESTION_TIERS.includes(result.tier) || !fusesOnStress(target, analysis, engine)) return;
+      phrases.push({
+        text: `${head} ${tail}`.toLowerCase(),
+        score: result.score,
+        tier: result.tier,
+        syllables: analysis.syllableCount,
+        phrase: true,
+      });
+    });
+  });
+  return phrases;
+}
+
+/**
+ * @param {string} previousBar - Text of the bar to rhyme with
+ * @param {{ vocabulary?: string[], limit?: number }} [options]
+ *   vocabulary: spoken words to build phrases from (the scroll's own words);
+ *   limit: suggestions per tier
+ * @returns {Promise<{
+ *   target: string|null,
+ *   groups: { tier: string, suggestions: { text: string, score: number, tier: string, syllables: number, phrase: boolean }[] }[]
+ * }>}
+ *   target: the end word rhymed with; groups in SUGGESTION_TIERS order,
+ *   empty tiers left out. Each group holds up to `limit` words and
+ *   PHRASES_PER_TIER phrases; on equal scores words come first.
+ */
+export async function suggestLineEndings(
+  previousBar,
+  { vocabulary = [], limit = 8 } = {},
+  engine = PhonemeEngine
+) {
+  const barWords = tokenizeWords(previousBar);
+  const endWord = barWords.at(-1);
+  if (!endWord) return { target: null, groups: [] };
+
+  const rhymes = await RhymeIndex.findRhymes(endWord, { common: true, limit: WORD_CANDIDATES }, engine);
+  const words = rhymes.map((r) => ({
+    text: r.word,
+    score: r.score,
+    tier: r.tier,
+    syllables: r.syllables,
+    phrase: false,
+  }));
+  const phrases = barWords.length > 1 ? phraseSuggestions(barWords, rhymes, vocabulary, engine) : [];
+
+  const inTier = (list, tier, count) => list.filter((s) => s.tier === tier).sort(byScore).slice(0, count);
+  return {
+    target: endWord.toLowerCase(),
+    groups: SUGGESTION_TIERS.map((tier) => ({
+      tier,
+      suggestions: [...inTier(words, tier, limit), ...inTier(phrases, tier, PHRASES_PER_TIER)].sort(
+        (a, b) => b.score - a.score || Number(a.phrase) - Number(b.phrase)
+      ),
+    })).filter((group) => group.suggestions.length > 0),
+  };
+}
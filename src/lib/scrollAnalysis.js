@@ -0,0 +1,100 @@
+// src/lib/scrollAnalysis.js
+
+/**
+ * Scroll Analysis Pipeline
+ * Everything the Read page computes for a whole scroll, in one async pass:
+ * per-word analysis (Truesight), rhyme scheme, rhyme map, multis (fusion
+ * rhymes between nearby bars), cadence and alliteration.
+ *
+ * Runs inside phoneme.worker.js; analysis.client.js falls back to calling it
+ * on the main thread where workers are unavailable. The pipeline yields
+ * between chunks of words, and every SLICE_MS inside the scroll-wide passes
+ * (run bar by bar, see steps.js), so progress is reported and cancellation
+ * is noticed.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+import { normalizeText } from "./textNormalizer.js";
+import { rhymeSchemeSteps } from "./rhymeScheme.js";
+import { rhymeMetricsSteps } from "./rhymeMetrics.js";
+import { fusionRhymeSteps } from "./fusionRhymes.js";
+import { cadenceSteps } from "./cadence.js";
+import { alliterationSteps } from "./alliteration.js";
+
+const WORD_CHUNK = 200;
+const SLICE_MS = 16;
+
+export class AnalysisCancelledError extends Error {
+  constructor() {
+    super("Scroll analysis cancelled");
+    this.name = "AnalysisCancelledError";
+  }
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * @param {string} content - Scroll content
+ * @param {{ onProgress?: (p: { stage: string, progress: number }) => void, isCancelled?: () => boolean }} [hooks]
+ * @returns {Promise<{ words: Object<string, object>, scheme: object, metrics: object, multis: object[], cadence: object, alliteration: object }>}
+ *   words is keyed by tokenKey() of each on-screen token.
+ */
+export async function analyzeScroll(content, { onProgress, isCancelled } = {}, engine = PhonemeEngine) {
+  const pause = async () => {
+    await nextTick();
+    if (isCancelled?.()) throw new AnalysisCancelledError();
+  };
+  const checkpoint = async (stage, progress) => {
+    onProgress?.({ stage, progress });
+    await pause();
+  };
+  // Drains a scroll-wide pass, pausing whenever a slice of it has run SLICE_MS
+  const run = async (steps) => {
+    let sliceStart = Date.now();
+    for (;;) {
+      const { done, value } = steps.next();
+      if (done) return value;
+      if (Date.now() - sliceStart >= SLICE_MS) {
+        await pause();
+        sliceStart = Date.now();
+      }
+    }
+  };
+
+  // Unique on-screen tokens, keyed by their spoken words (see textNormalizer.js)
+  const spoken = new Map();
+  normalizeText(content).forEach((token) => {
+    if (token.words.length) spoken.set(token.words.join(" "), token.words);
+  });
+  const tokens = [...spoken.keys()];
+
+  await checkpoint("lexicon", 0);
+  await engine.ensureWords([...spoken.values()].flat());
+
+  // Words take the first half of the bar; the scroll-level passes share the rest
+  const words = {};
+  for (let i = 0; i < tokens.length; i += WORD_CHUNK) {
+    tokens.slice(i, i + WORD_CHUNK).forEach((key) => {
+      const result = engine.analyzePhrase(spoken.get(key));
+      if (result) words[key] = { word: key, ...result };
+    });
+    await checkpoint("words", (0.5 * Math.min(i + WORD_CHUNK, tokens.length)) / (tokens.length || 1));
+  }
+
+  const scheme = await run(rhymeSchemeSteps(content, {}, engine));
+  await checkpoint("scheme", 0.6);
+
+  const metrics = await run(rhymeMetricsSteps(content, engine));
+  await checkpoint("metrics", 0.8);
+
+  const multis = await run(fusionRhymeSteps(content, {}, engine));
+  await checkpoint("multis", 0.9);
+
+  const cadence = await run(cadenceSteps(content, engine));
+  await checkpoint("cadence", 0.95);
+
+  const alliteration = await run(alliterationSteps(content, engine));
+  await checkpoint("alliteration", 1);
+
+  return { words, scheme, metrics, multis, cadence, alliteration };
+}
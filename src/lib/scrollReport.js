@@ -0,0 +1,86 @@
+// src/lib/scrollReport.js
+
+/**
+ * Scroll Report
+ * Flattens an analyzeScroll() result into one plain, line-by-line object for
+ * output outside the Read page (CLI, HTTP server): every token with its
+ * phonetics, each bar's scheme letter, cadence and alliteration, and
+ * summary stats.
+ */
+
+import { normalizeText } from "./textNormalizer.js";
+
+/**
+ * @param {string} content - Scroll content
+ * @param {{ words: object, scheme: object, metrics: object, cadence: object, alliteration: object }} analysis
+ *   analyzeScroll() result for the same content
+ * @returns {{
+ *   lines: { line: number, text: string, letter: string, tier: string|null, syllables: number, density: number, cadenceFlag: string|null, alliteration: { group: string, words: string[] }[], words: object[] }[],
+ *   stanzas: { scheme: string, pattern: string|null }[],
+ *   summary: object
+ * }}
+ */
+export function buildScrollReport(content, { words, scheme, metrics, cadence, alliteration }) {
+  const byIndex = (list) => new Map((list || []).map((entry) => [entry.index, entry]));
+  const bars = byIndex(scheme.bars);
+  const metricLines = byIndex(metrics.lines);
+  const cadenceLines = byIndex(cadence.lines);
+
+  const lines = [];
+  String(content || "")
+    .split(/\r?\n/)
+    .forEach((text, index) => {
+      const bar = bars.get(index);
+      if (!bar) return;
+
+      lines.push({
+        line: index + 1,
+        text,
+        letter: bar.letter,
+        tier: bar.tier,
+        syllables: cadenceLines.get(index)?.syllables ?? 0,
+        density: metricLines.get(index)?.density ?? 0,
+        cadenceFlag: cadenceLines.get(index)?.flag ?? null,
+        alliteration: alliteration.runs
+          .filter((run) => run.line === index)
+          .map((run) => ({ group: run.group, words: run.words })),
+        words: normalizeText(text)
+          .filter((token) => words[token.words.join(" ")])
+          .map((token) => {
+            const analysis = words[token.words.join(" ")];
+            return {
+              token: token.text,
+              spoken: token.words.join(" "),
+              vowelFamily: analysis.vowelFamily,
+              rhymeKey: analysis.rhymeKey,
+              onset: analysis.onset,
+              phonemes: analysis.phonemes,
+              syllables: analysis.syllableCount,
+              stressPattern: analysis.stressPattern,
+            };
+          }),
+      });
+    });
+
+  return {
+    lines,
+    stanzas: scheme.stanzas.map((stanza) => ({
+      scheme: stanza.scheme,
+      pattern: stanza.pattern?.label ?? null,
+    })),
+    summary: {
+      lines: lines.length,
+      words: lines.reduce((sum, l) => sum + l.words.length, 0),
+      syllables: metrics.totals.syllables,
+      scheme: scheme.scheme,
+      rhymeDensity: metrics.totals.density,
+      internalRhymes: metrics.totals.internalRhymes,
+      longestChain: metrics.longestChain,
+      dominantFamily: metrics.dominantFamily,
+      syllablesPerBar: cadence.mean,
+      syllableStdDev: cadence.stdDev,
+      unevenBars: cadence.flagged,
+      alliterations: alliteration.runs.length,
+    },
+  };
+}
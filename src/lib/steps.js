@@ -0,0 +1,22 @@
+// src/lib/steps.js
+
+/**
+ * Steps
+ * Scroll-wide passes (rhyme scheme, rhyme map, multis, cadence,
+ * alliteration) are written as generators that yield after each bar.
+ * scrollAnalysis.js runs them a slice at a time, pausing between slices to
+ * report progress and notice cancellation; every other caller runs them
+ * straight through with runSteps().
+ */
+
+/**
+ * @param {Generator<void, T>} steps
+ * @returns {T} What the generator returns
+ * @template T
+ */
+export function runSteps(steps) {
+  for (;;) {
+    const { done, value } = steps.next();
+    if (done) return value;
+  }
+}
@@ -0,0 +1,57 @@
+// src/lib/syllabify.js
+
+/**
+ * Syllabification
+ * Splits ARPAbet phonemes into syllables using the maximal onset principle:
+ * consonants between two vowels go to the following syllable as long as
+ * they form an onset English allows, the rest close the previous syllable.
+ */
+
+const LEGAL_ONSETS = new Set([
+  "P R", "P L", "B R", "B L", "T R", "D R", "K R", "K L", "G R", "G L",
+  "F R", "F L", "TH R", "SH R", "V Y", "P Y", "B Y", "K Y", "F Y", "M Y", "HH Y",
+  "T W", "D W", "K W", "G W", "TH W", "S W",
+  "S P", "S T", "S K", "S M", "S N", "S L", "S F",
+  "S P R", "S T R", "S K R", "S P L", "S K W", "S K Y", "S P Y",
+]);
+
+const isVowel = (phoneme) => /\d$/.test(phoneme);
+
+function isLegalOnset(consonants) {
+  if (consonants.length === 0) return true;
+  if (consonants.length === 1) return consonants[0] !== "NG";
+  return LEGAL_ONSETS.has(consonants.join(" "));
+}
+
+/**
+ * @param {string[]} phonemes - ARPAbet phonemes with stress digits
+ * @returns {{ phonemes: string[], nucleus: string, stressLevel: number }[]}
+ */
+export function syllabify(phonemes) {
+  const vowelIndexes = phonemes
+    .map((p, i) => (isVowel(p) ? i : -1))
+    .filter((i) => i !== -1);
+  if (vowelIndexes.length === 0) return [];
+
+  // Boundary before each vowel after the first: longest legal onset wins
+  const starts = [0];
+  for (let v = 1; v < vowelIndexes.length; v++) {
+    const prevVowel = vowelIndexes[v - 1];
+    const vowel = vowelIndexes[v];
+    let boundary = prevVowel + 1;
+    while (boundary < vowel && !isLegalOnset(phonemes.slice(boundary, vowel))) {
+      boundary++;
+    }
+    starts.push(boundary);
+  }
+
+  return starts.map((start, s) => {
+    const end = starts[s + 1] ?? phonemes.length;
+    const nucleus = phonemes[vowelIndexes[s]];
+    return {
+      phonemes: phonemes.slice(start, end),
+      nucleus,
+      stressLevel: Number(nucleus.slice(-1)),
+    };
+  });
+}
@@ -0,0 +1,208 @@
+// src/lib/textNormalizer.js
+
+/**
+ * Text Normalizer
+ * Turns what is written into what is said, in front of the phoneme engine:
+ * - numerals: "24" -> TWENTY FOUR, "1999" -> NINETEEN NINETY NINE,
+ *   "3rd" -> THIRD, "90s" -> NINETIES, "2.5" -> TWO POINT FIVE
+ * - symbols: "$100" -> ONE HUNDRED DOLLARS, "100%" -> ... PERCENT, "&" -> AND
+ * - compounds: "ex-con" -> EX CON, "24/7" -> TWENTY FOUR SEVEN
+ * - letters and digits run together: "2Pac" -> TWO PAC
+ * - apostrophes: "'em", "'cause" and dropped-g "runnin'" keep theirs (the
+ *   engine knows them); quote marks around a word are stripped.
+ *
+ * Every on-screen token (whitespace-separated) maps to zero or more spoken
+ * words, so analysis of the spoken words can be shown on the original token.
+ */
+
+const ONES = [
+  "ZERO", "ONE", "TWO", "THREE", "FOUR", "FIVE", "SIX", "SEVEN", "EIGHT", "NINE",
+  "TEN", "ELEVEN", "TWELVE", "THIRTEEN", "FOURTEEN", "FIFTEEN", "SIXTEEN",
+  "SEVENTEEN", "EIGHTEEN", "NINETEEN",
+];
+const TENS = ["", "", "TWENTY", "THIRTY", "FORTY", "FIFTY", "SIXTY", "SEVENTY", "EIGHTY", "NINETY"];
+const SCALES = [
+  [1e9, "BILLION"],
+  [1e6, "MILLION"],
+  [1e3, "THOUSAND"],
+];
+
+const ORDINALS = {
+  ONE: "FIRST", TWO: "SECOND", THREE: "THIRD", FIVE: "FIFTH", EIGHT: "EIGHTH",
+  NINE: "NINTH", TWELVE: "TWELFTH",
+};
+
+const SYMBOLS = {
+  "&": "AND",
+  "@": "AT",
+  "+": "PLUS",
+  "=": "EQUALS",
+  "%": "PERCENT",
+  "#": "NUMBER",
+};
+
+// Apostrophe-initial words the lexicon knows ('em, 'cause...); any other
+// leading apostrophe is an opening quote.
+const LEADING_APOSTROPHE = new Set([
+  "'BOUT", "'CAUSE", "'COS", "'COURSE", "'EM", "'FORE", "'GAIN", "'KAY", "'N",
+  "'ROUND", "'TIL", "'TIS", "'TWAS",
+]);
+
+// Apostrophe-final words besides dropped-g (runnin') and plural possessives
+const TRAILING_APOSTROPHE = new Set(["OL'", "GON'", "N'", "THEM'", "O'"]);
+
+/**
+ * @param {number} n - Non-negative integer below one trillion
+ * @returns {string[]}
+ */
+export function numberToWords(n) {
+  if (n < 20) return [ONES[n]];
+  if (n < 100) return n % 10 ? [TENS[Math.floor(n / 10)], ONES[n % 10]] : [TENS[n / 10]];
+  if (n < 1000) {
+    const rest = n % 100;
+    return [ONES[Math.floor(n / 100)], "HUNDRED", ...(rest ? numberToWords(rest) : [])];
+  }
+  for (const [scale, name] of SCALES) {
+    if (n >= scale) {
+      const rest = n % scale;
+      return [...numberToWords(Math.floor(n / scale)), name, ...(rest ? numberToWords(rest) : [])];
+    }
+  }
+  return [];
+}
+
+// 1999 -> NINETEEN NINETY NINE, 1900 -> NINETEEN HUNDRED, 2005 -> TWO THOUSAND FIVE
+function yearToWords(n) {
+  if (n >= 2000 && n < 2010) return numberToWords(n);
+  const [century, rest] = [Math.floor(n / 100), n % 100];
+  if (rest === 0) return [...numberToWords(century), "HUNDRED"];
+  return [...numberToWords(century), ...(rest < 10 ? ["OH"] : []), ...numberToWords(rest)];
+}
+
+function toOrdinal(words) {
+  const last = words.at(-1);
+  let ordinal = ORDINALS[last];
+  if (!ordinal) ordinal = last.endsWith("Y") ? `${last.slice(0, -1)}IETH` : `${last}TH`;
+  return [...words.slice(0, -1), ordinal];
+}
+
+function toPlural(words) {
+  const last = words.at(-1);
+  const plural = last.endsWith("Y") ? `${last.slice(0, -1)}IES` : last === "SIX" ? "SIXES" : `${last}S`;
+  return [...words.slice(0, -1), plural];
+}
+
+/**
+ * Spoken words for a run of digits (commas and one decimal point allowed).
+ * Four-digit numbers read as years; a leading zero reads digit by digit.
+ */
+function numeralToWords(numeral) {
+  const [whole, fraction] = numeral.replace(/,/g, "").split(".");
+  const digits = (text) => [...text].map((d) => (d === "0" ? "OH" : ONES[d]));
+
+  let words;
+  if (whole.length > 1 && whole.startsWith("0")) words = digits(whole);
+  else if (whole.length === 4 && !numeral.includes(",") && Number(whole) >= 1100) {
+    words = yearToWords(Number(whole));
+  } else if (whole.length <= 12) words = numberToWords(Number(whole || 0));
+  else words = digits(whole);
+
+  if (fraction) words = [...words, "POINT", ...[...fraction].map((d) => ONES[d])];
+  return words;
+}
+
+// "$5" -> FIVE DOLLARS, "$1" -> ONE DOLLAR, "$2.50" -> TWO DOLLARS FIFTY CENTS
+function moneyToWords(numeral) {
+  const [whole, cents] = numeral.replace(/,/g, "").split(".");
+  const dollars = Number(whole || 0);
+  const words = [...numeralToWords(whole || "0"), dollars === 1 ? "DOLLAR" : "DOLLARS"];
+  if (cents && Number(cents)) {
+    const c = Number(cents.padEnd(2, "0").slice(0, 2));
+    words.push(...numberToWords(c), c === 1 ? "CENT" : "CENTS");
+  }
+  return words;
+}
+
+/**
+ * Spoken words for one piece of a token (no whitespace, hyphens or slashes).
+ */
+function normalizePiece(piece) {
+  const words = [];
+  // Numbers with their decorations, symbols, and letter runs, left to right
+  const pattern =
+    /(\$)?(\d[\d,]*(?:\.\d+)?)(?:(st|nd|rd|th|'?s)(?![A-Za-z]))?(%)?|([&@+=%#])|('?[A-Za-z][A-Za-z']*)/g;
+
+  for (const match of piece.matchAll(pattern)) {
+    const [, dollar, numeral, suffix, percent, symbol, letters] = match;
+    if (numeral) {
+      let spoken = dollar ? moneyToWords(numeral) : numeralToWords(numeral);
+      const suffixLower = suffix?.toLowerCase();
+      if (suffixLower?.endsWith("s")) spoken = toPlural(spoken);
+      else if (suffixLower) spoken = toOrdinal(spoken);
+      if (percent) spoken = [...spoken, "PERCENT"];
+      words.push(...spoken);
+    } else if (symbol) {
+      words.push(SYMBOLS[symbol]);
+    } else if (letters) {
+      words.push(letters.toUpperCase());
+    }
+  }
+  return words;
+}
+
+/**
+ * Settles the apostrophes on a spoken word: keeps the ones the lexicon
+ * spells with (contractions, 'em, runnin'), drops quote marks.
+ */
+function settleApostrophes(word) {
+  let result = word;
+  if (result.startsWith("'") && !LEADING_APOSTROPHE.has(result)) {
+    result = result.replace(/^'+/, "");
+  }
+  if (result.endsWith("'") && !/IN'$/.test(result) && !TRAILING_APOSTROPHE.has(result)) {
+    result = result.replace(/'+$/, "");
+  }
+  return result;
+}
+
+/**
+ * Spoken words for one on-screen token.
+ * @param {string} token - A whitespace-free run of text as written
+ * @returns {string[]} Uppercase words for the phoneme engine
+ */
+export function normalizeToken(token) {
+  const text = String(token || "").replace(/[‘’ʼ]/g, "'");
+  return text
+    .split(/[-‐-―/\\]+/)
+    .flatMap(normalizePiece)
+    .map(settleApostrophes)
+    .filter((word) => /[A-Z]/.test(word));
+}
+
+/**
+ * Key under which a token's analysis is stored: its spoken words joined by
+ * spaces, so "runnin'" and "Runnin'," share one entry.
+ * @param {string} token
+ * @returns {string}
+ */
+export function tokenKey(token) {
+  return normalizeToken(token).join(" ");
+}
+
+/**
+ * @param {string} text
+ * @returns {{ text: string, start: number, end: number, words: string[] }[]}
+ *   One entry per whitespace-separated token, with its offsets in text.
+ */
+export function normalizeText(text) {
+  const tokens = [];
+  for (const match of String(text || "").matchAll(/\S+/g)) {
+    tokens.push({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      words: normalizeToken(match[0]),
+    });
+  }
+  return tokens;
+}
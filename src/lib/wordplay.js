@@ -0,0 +1,264 @@
+// src/lib/wordplay.js
+
+/**
+ * Wordplay
+ * Looks words up by sound, for double meanings:
+ * - homophones: other spellings of the same phonemes (mist / missed)
+ * - near homophones: one sound off, either a consonant swapped within its
+ *   consonant group, a consonant added or dropped, or an unstressed vowel
+ *   heard as another weak vowel (bald / bolt, miss / mist)
+ * - splits: the same sound cut into two or three words in everyday use
+ *   (illest / ill list; see engine.isCommonWord).
+ *   A cut may share the consonant on its boundary ("ill" + "list") and
+ *   unstressed vowels may be heard as any weak vowel; each liberty taken
+ *   costs one point, and cheaper splits rank first.
+ *
+ * Stress is ignored throughout. The sound index covers the whole lexicon
+ * and is built once per engine and dialect pack, like rhymeIndex.js, so
+ * call it from the worker where possible.
+ */
+
+import { PhonemeEngine } from "./phoneme.engine.js";
+
+const WEAK_VOWELS = ["AH", "IH", "EH", "UH"];
+const CONSONANTS = [
+  "B", "CH", "D", "DH", "F", "G", "HH", "JH", "K", "L", "M", "N", "NG",
+  "P", "R", "S", "SH", "T", "TH", "V", "W", "Y", "Z", "ZH",
+];
+const MAX_SPLIT_WORDS = 3;
+const MAX_WEAK_SWAPS = 2;
+const MAX_SPELLINGS = 3;
+const MAX_SPLIT_PHONEMES = 18; // longer phrases are not re-cut
+
+const indexes = new WeakMap();
+
+const bare = (phoneme) => phoneme.replace(/\d$/, "");
+const soundKey = (phonemes) => phonemes.map(bare).join(" ");
+const isWeak = (phoneme) => phoneme.endsWith("0") && WEAK_VOWELS.includes(bare(phoneme));
+
+function addTo(map, key, word) {
+  const bucket = map.get(key);
+  if (bucket) bucket.push(word);
+  else map.set(key, [word]);
+}
+
+function buildIndex(engine) {
+  const bySound = new Map();
+  const seen = new Set();
+  // Hand-tuned dictionary entries win over the lexicon
+  Object.keys(engine.DICT_V2?.words || {}).forEach((word) => {
+    seen.add(word);
+    addTo(bySound, soundKey(engine.analyzeWord(word).phonemes), word);
+  });
+  engine.LEXICON_SHARDS.forEach((shard) => {
+    Object.entries(shard).forEach(([word, pronunciation]) => {
+      if (seen.has(word) || !/^[A-Z']+$/.test(word)) return;
+      addTo(bySound, soundKey(engine.applyDialect(word, pronunciation.split(" "))), word);
+    });
+  });
+  return bySound;
+}
+
+/**
+ * Words sounding exactly like `key`. Overridden words are filed by their
+ * corrected pronunciation; lone letters other than A, I and O are skipped.
+ */
+function spellingsFor(index, key, engine) {
+  const words = (index.get(key) || []).filter(
+    (word) => !engine.OVERRIDES.has(word) && (word.length > 1 || "AIO".includes(word))
+  );
+  engine.OVERRIDES.forEach((phonemes, word) => {
+    if (soundKey(phonemes.split(" ")) === key) words.push(word);
+  });
+  return words;
+}
+
+// Consonants sharing a coda or onset group with this one
+function partners(consonant, engine) {
+  const groups = engine.DICT_V2?.consonant_groups || {};
+  const members = [
+    ...Object.values(groups.coda_groups || {}),
+    ...Object.values(groups.onset_groups || {}),
+  ].filter((group) => group.includes(consonant));
+  return [...new Set(members.flat())].filter((p) => p !== consonant);
+}
+
+/**
+ * Every single-sound change of a pronunciation, as { key, change }.
+ */
+function nearVariants(phonemes, engine) {
+  const sounds = phonemes.map(bare);
+  const variants = [];
+  const splice = (at, remove, insert, change) => {
+    const next = [...sounds.slice(0, at), ...insert, ...sounds.slice(at + remove)];
+    variants.push({ key: next.join(" "), change });
+  };
+
+  sounds.forEach((sound, i) => {
+    if (engine.isVowelPhoneme(phonemes[i])) {
+      if (!isWeak(phonemes[i])) return;
+      WEAK_VOWELS.filter((v) => v !== sound).forEach((v) => splice(i, 1, [v], `${sound} → ${v}`));
+      return;
+    }
+    partners(sound, engine).forEach((p) => splice(i, 1, [p], `${sound} → ${p}`));
+    splice(i, 1, [], `drops ${sound}`);
+  });
+  for (let i = 0; i <= sounds.length; i++) {
+    CONSONANTS.forEach((c) => splice(i, 0, [c], `adds ${c}`));
+  }
+  return variants;
+}
+
+/**
+ * A stretch of phonemes as heard with up to MAX_WEAK_SWAPS of its unstressed
+ * weak vowels swapped: [{ key, cost }].
+ */
+function weakVariants(phonemes) {
+  let variants = [{ sounds: [], cost: 0 }];
+  phonemes.forEach((phoneme) => {
+    const sound = bare(phoneme);
+    const options = isWeak(phoneme) ? WEAK_VOWELS : [sound];
+    variants = variants.flatMap((variant) =>
+      options
+        .map((option) => ({
+          sounds: [...variant.sounds, option],
+          cost: variant.cost + (option === sound ? 0 : 1),
+        }))
+        .filter((next) => next.cost <= MAX_WEAK_SWAPS)
+    );
+  });
+  return variants.map(({ sounds, cost }) => ({ key: sounds.join(" "), cost }));
+}
+
+/**
+ * Ways to cut a pronunciation into 2 to MAX_SPLIT_WORDS lexicon words.
+ * @returns {{ parts: { spellings: string[] }[], cost: number }[]}
+ */
+function findSplits(phonemes, index, engine) {
+  const n = phonemes.length;
+  const segments = new Map();
+
+  // Hearings of phonemes[start, end) that are words: [{ spellings, cost }]
+  const segment = (start, end) => {
+    const id = `${start}:${end}`;
+    if (!segments.has(id)) {
+      const slice = phonemes.slice(start, end);
+      const options = slice.some((p) => engine.isVowelPhoneme(p))
+        ? weakVariants(slice)
+            .map(({ key, cost }) => ({
+              spellings: spellingsFor(index, key, engine).filter((word) => engine.isCommonWord(word)),
+              cost,
+            }))
+            .filter((option) => option.spellings.length > 0)
+        : [];
+      segments.set(id, options);
+    }
+    return segments.get(id);
+  };
+
+  const splits = [];
+  const walk = (start, parts, cost) => {
+    if (start === n) {
+      if (parts.length > 1) splits.push({ parts, cost });
+      return;
+    }
+    if (parts.length === MAX_SPLIT_WORDS) return;
+
+    for (let end = start + 1; end <= n; end++) {
+      segment(start, end).forEach((part) => {
+        walk(end, [...parts, part], cost + part.cost);
+        // The next word may open on this one's closing consonant
+        if (end < n && end - 1 > start && !engine.isVowelPhoneme(phonemes[end - 1])) {
+          walk(end - 1, [...parts, part], cost + part.cost + 1);
+        }
+      });
+    }
+  };
+  walk(0, [], 0);
+  return splits;
+}
+
+// Most used spellings first, then ones without an apostrophe, then A-Z
+const spelled = (words, engine) =>
+  [...new Set(words)]
+    .sort(
+      (a, b) =>
+        engine.getWordRank(a) - engine.getWordRank(b) ||
+        Number(a.includes("'")) - Number(b.includes("'")) ||
+        a.localeCompare(b)
+    )
+    .map((word) => word.toLowerCase());
+
+export const Wordplay = {
+  /**
+   * Builds (once) and returns the sound index for an engine.
+   * @returns {Promise<Map<string, string[]>>} Stressless phonemes -> words
+   */
+  build(engine = PhonemeEngine) {
+    const dialect = engine.DIALECT?.meta.id ?? null;
+    if (indexes.get(engine)?.dialect !== dialect) {
+      indexes.set(engine, {
+        dialect,
+        index: engine.loadLexicon().then(() => buildIndex(engine)),
+      });
+    }
+    return indexes.get(engine).index;
+  },
+
+  /**
+   * Words and word runs that sound like a word or phrase.
+   * @param {string[]} words - Spoken words, see textNormalizer.js
+   * @param {{ limit?: number }} [options] - limit: per kind of result
+   * @returns {Promise<{
+   *   homophones: string[],
+   *   nearHomophones: { word: string, change: string }[],
+   *   splits: { words: string[], alternatives: string[][], exact: boolean }[]
+   * }>}
+   *   splits: the first spelling of each part, every spelling of each part,
+   *   and whether no liberties were needed.
+   */
+  async find(words, { limit = 10 } = {}, engine = PhonemeEngine) {
+    const spoken = words.map((word) => String(word).toUpperCase()).filter(Boolean);
+    const empty = { homophones: [], nearHomophones: [], splits: [] };
+    if (spoken.length === 0) return empty;
+
+    const index = await this.build(engine);
+    const source = engine.analyzePhrase(spoken);
+    if (!source) return empty;
+    const phonemes = source.phonemes;
+    const self = spoken.length === 1 ? spoken[0] : null;
+
+    const homophones = spellingsFor(index, soundKey(phonemes), engine).filter((w) => w !== self);
+
+    const seen = new Set([self, ...homophones]);
+    const nearHomophones = [];
+    nearVariants(phonemes, engine).forEach(({ key, change }) => {
+      spellingsFor(index, key, engine).forEach((word) => {
+        if (seen.has(word)) return;
+        seen.add(word);
+        nearHomophones.push({ word, change });
+      });
+    });
+
+    // A phrase is not a wordplay find on its own words
+    const isSelf = (parts) =>
+      parts.length === spoken.length && parts.every((part, i) => part.spellings.includes(spoken[i]));
+    const splits = (phonemes.length <= MAX_SPLIT_PHONEMES ? findSplits(phonemes, index, engine) : [])
+      .filter(({ parts }) => !isSelf(parts))
+      .sort((a, b) => a.cost - b.cost || a.parts.length - b.parts.length)
+      .slice(0, limit)
+      .map(({ parts, cost }) => {
+        const alternatives = parts.map((part) => spelled(part.spellings, engine).slice(0, MAX_SPELLINGS));
+        return { words: alternatives.map((a) => a[0]), alternatives, exact: cost === 0 };
+      });
+
+    return {
+      homophones: spelled(homophones, engine).slice(0, limit),
+      // Swaps and drops come before additions, in the order they were found
+      nearHomophones: nearHomophones
+        .slice(0, limit)
+        .map(({ word, change }) => ({ word: word.toLowerCase(), change })),
+      splits,
+    };
+  },
+};
@@ -5,6 +5,7 @@ import App from "./App.jsx";
 import WatchPage from "./pages/Watch/WatchPage.jsx";
 import ListenPage from "./pages/Listen/ListenPage.jsx";
 import ReadPage from "./pages/Read/ReadPage.jsx";
+import SettingsPage from "./pages/Settings/SettingsPage.jsx";
 import "./index.css";
 
 const router = createBrowserRouter([
@@ -16,6 +17,7 @@ const router = createBrowserRouter([
       { path: "watch", element: <WatchPage /> },
       { path: "listen", element: <ListenPage /> },
       { path: "read", element: <ReadPage /> },
+      { path: "settings", element: <SettingsPage /> },
     ],
   },
 ]);
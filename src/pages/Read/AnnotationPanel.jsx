@@ -1,7 +1,276 @@
 import { motion } from "framer-motion";
-import { useEffect, useRef } from "react";
+import { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
 
-export default function AnnotationPanel({ annotation, onClose }) {
+const STRESS_LABELS = {
+  H: "Hard attack",
+  M: "Medium",
+  L: "Ghost",
+};
+
+function PronunciationEditor({ annotation, override, onSave, onReset }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [error, setError] = useState(null);
+
+  const open = () => {
+    setDraft(annotation.phonemes.join(" "));
+    setError(null);
+    setIsOpen(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      onSave(annotation.word, draft);
+      setIsOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="pronunciation-actions">
+        <button type="button" className="btn btn-secondary" onClick={open}>
+          Correct this pronunciation
+        </button>
+        {override && (
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => onReset(annotation.word)}
+          >
+            Restore dictionary pronunciation
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form className="pronunciation-form" onSubmit={handleSubmit}>
+      <label htmlFor="pronunciation-input" className="statLabel">
+        ARPAbet phonemes, stress digit on every vowel (e.g. B AW1 T)
+      </label>
+      <input
+        id="pronunciation-input"
+        className="pronunciation-input"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        aria-invalid={!!error}
+        aria-describedby={error ? "pronunciation-error" : undefined}
+        spellCheck={false}
+      />
+      {error && (
+        <div id="pronunciation-error" className="pronunciation-error" role="alert">
+          {error}
+        </div>
+      )}
+      <div className="pronunciation-actions">
+        <button type="submit" className="btn btn-primary">
+          Save
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => setIsOpen(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Sound-alikes for double meanings; looked up on request, since the first
+// lookup indexes the whole lexicon
+function WordplaySection({ onFind }) {
+  const [status, setStatus] = useState("idle"); // idle | loading | done | error
+  const [result, setResult] = useState(null);
+
+  const find = () => {
+    setStatus("loading");
+    onFind()
+      .then((found) => {
+        setResult(found);
+        setStatus("done");
+      })
+      .catch((err) => {
+        console.warn("Wordplay lookup failed:", err);
+        setStatus("error");
+      });
+  };
+
+  if (status === "idle" || status === "error") {
+    return (
+      <div className="pronunciation-actions">
+        <button type="button" className="btn btn-secondary" onClick={find}>
+          Find homophones &amp; splits
+        </button>
+        {status === "error" && <span className="text-xs opacity-50 italic">The lookup failed.</span>}
+      </div>
+    );
+  }
+  if (status === "loading") {
+    return <div className="text-xs opacity-50 italic px-4">Listening for echoes...</div>;
+  }
+
+  const { homophones, nearHomophones, splits } = result;
+  if (homophones.length + nearHomophones.length + splits.length === 0) {
+    return <div className="text-xs opacity-50 italic px-4">No sound-alikes found.</div>;
+  }
+
+  return (
+    <>
+      {homophones.length > 0 && (
+        <div className="stat grimoire-stat">
+          <div className="statLabel">Homophones</div>
+          <div className="statValue flex flex-wrap gap-2">
+            {homophones.map((word) => (
+              <span key={word} className="phoneme-chip wordplay-chip">
+                {word}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+      {nearHomophones.length > 0 && (
+        <div className="stat grimoire-stat">
+          <div className="statLabel">Near Homophones</div>
+          <div className="statValue flex flex-wrap gap-2">
+            {nearHomophones.map(({ word, change }) => (
+              <span key={word} className="phoneme-chip wordplay-chip" title={change}>
+                {word}
+                <span className="sr-only">, {change}</span>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+      {splits.length > 0 && (
+        <div className="stat grimoire-stat">
+          <div className="statLabel">Splits</div>
+          <div className="statValue flex flex-wrap gap-2">
+            {splits.map((split) => (
+              <span
+                key={split.words.join(" ")}
+                className={`phoneme-chip wordplay-chip${split.exact ? "" : " wordplay-chip--loose"}`}
+                title={split.alternatives.map((spellings) => spellings.join(" / ")).join(" + ")}
+              >
+                {split.words.join(" ")}
+                {!split.exact && <span className="sr-only">, loosely</span>}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+const SENSES_SHOWN = 3;
+
+// One homograph: headword, part of speech, pronunciation, numbered senses
+// and etymology. Long sense lists start folded.
+function DefinitionEntry({ entry }) {
+  const [expanded, setExpanded] = useState(false);
+  const senses = expanded ? entry.senses : entry.senses.slice(0, SENSES_SHOWN);
+  const hidden = entry.senses.length - senses.length;
+
+  return (
+    <div className="stat grimoire-stat definition-entry">
+      <div className="statLabel">
+        {entry.headword}
+        {entry.homograph && <sup>{entry.homograph}</sup>}{" "}
+        <span className="italic">{entry.partOfSpeech}</span>
+        {entry.pronunciations.length > 0 && (
+          <span className="definition-pronunciation"> \{entry.pronunciations.join(", ")}\</span>
+        )}
+      </div>
+      <ol className="statValue definition-text definition-senses">
+        {senses.map((sense, i) => (
+          <li key={i}>
+            {sense.number && <span className="definition-sense-number">{sense.number}</span>}
+            {sense.text}
+          </li>
+        ))}
+      </ol>
+      {entry.senses.length > SENSES_SHOWN && (
+        <button type="button" className="definition-more" onClick={() => setExpanded(!expanded)}>
+          {expanded ? "Fewer senses" : `${hidden} more sense${hidden === 1 ? "" : "s"}`}
+        </button>
+      )}
+      {entry.etymology && <div className="text-xs opacity-60 mt-1">Etymology: {entry.etymology}</div>}
+    </div>
+  );
+}
+
+function DefinitionSection({ definition, spellings, spellingsSource }) {
+  if (!definition && spellings?.length > 0) {
+    return (
+      <div className="stat grimoire-stat">
+        <div className="statLabel">Not found. Did you mean</div>
+        <div className="statValue flex flex-wrap gap-2">
+          {spellings.slice(0, 8).map((word) => (
+            <span key={word} className="text-sm opacity-80">
+              {word}
+            </span>
+          ))}
+        </div>
+        <div className="text-xs opacity-50 mt-1">Source: {spellingsSource}</div>
+      </div>
+    );
+  }
+  if (!definition) {
+    return <div className="text-xs opacity-50 italic px-4">No definition found.</div>;
+  }
+
+  const source = <div className="text-xs opacity-50 px-4">Source: {definition.source}</div>;
+  if (definition.entries?.length > 0) {
+    return (
+      <>
+        {definition.entries.map((entry, i) => (
+          <DefinitionEntry key={i} entry={entry} />
+        ))}
+        {source}
+      </>
+    );
+  }
+  return (
+    <div className="stat grimoire-stat">
+      <div className="statLabel italic">{definition.partOfSpeech}</div>
+      <div className="statValue definition-text">
+        {definition.text}
+        <div className="text-xs opacity-50 mt-1">Source: {definition.source}</div>
+      </div>
+    </div>
+  );
+}
+
+// Synonyms, antonyms or broader terms; nothing when there are none
+function RelatedWords({ label, words, source }) {
+  if (!words?.length) return null;
+  const shown = words.slice(0, 8);
+  return (
+    <div className="stat grimoire-stat">
+      <div className="statLabel">{label}</div>
+      <div className="statValue flex flex-wrap gap-2">
+        {shown.map((word, i) => (
+          <span key={word} className="text-sm opacity-80 underline decoration-dotted">
+            {word}{i < shown.length - 1 ? "," : ""}
+          </span>
+        ))}
+      </div>
+      {source && <div className="text-xs opacity-50 mt-1">Source: {source}</div>}
+    </div>
+  );
+}
+
+export default function AnnotationPanel({
+  annotation,
+  onClose,
+  override,
+  onCorrectPronunciation,
+  onResetPronunciation,
+  onFindWordplay,
+}) {
   const closeRef = useRef(null);
   const previousFocus = useRef(document.activeElement);
 
@@ -42,7 +311,7 @@ export default function AnnotationPanel({ annotation, onClose }) {
             color: `var(--vowel-${annotation.vowelFamily})`,
           }}
         >
-          {annotation.word}
+          {annotation.written ?? annotation.word}
         </h3>
         <button 
           ref={closeRef}
@@ -57,6 +326,16 @@ export default function AnnotationPanel({ annotation, onClose }) {
       <div className="annotation-content">
         {/* Phonetic Section */}
         <div className="annotation-section-title">Phonetic Structure</div>
+
+        {annotation.written && (
+          <div className="stat grimoire-stat">
+            <div className="statLabel">
+              <span className="stat-sigil">&#x2735;</span>
+              Read As
+            </div>
+            <div className="statValue">{annotation.spoken.join(" ").toLowerCase()}</div>
+          </div>
+        )}
         
         <div className="stat grimoire-stat">
           <div className="statLabel">
@@ -85,6 +364,45 @@ export default function AnnotationPanel({ annotation, onClose }) {
           </div>
         </div>
 
+        {annotation.syllables?.length > 0 && (
+          <div className="stat grimoire-stat">
+            <div className="statLabel">
+              <span className="stat-sigil">&#x2736;</span>
+              Syllables ({annotation.syllableCount})
+            </div>
+            <div className="statValue phoneme-list">
+              {annotation.syllables.map((syllable, i) => (
+                <span
+                  key={i}
+                  className={`phoneme-chip syllable-chip syllable-chip--${syllable.stress}`}
+                  title={STRESS_LABELS[syllable.stress]}
+                >
+                  {syllable.phonemes.join(" ")}
+                  <span className="syllable-stress">{syllable.stress}</span>
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {annotation.onset && (
+          <div className="stat grimoire-stat">
+            <div className="statLabel">
+              <span className="stat-sigil">&#x2734;</span>
+              Onset
+            </div>
+            <div className="statValue phoneme-list">
+              {annotation.phonemes
+                .slice(0, annotation.phonemes.findIndex((p) => /\d$/.test(p)))
+                .map((p, i) => (
+                  <span key={i} className="phoneme-chip">
+                    {p}
+                  </span>
+                ))}
+            </div>
+          </div>
+        )}
+
         <div className="stat grimoire-stat">
           <div className="statLabel">
             <span className="stat-sigil">&#x2728;</span>
@@ -93,34 +411,43 @@ export default function AnnotationPanel({ annotation, onClose }) {
           <div className="statValue rhyme-key">{annotation.rhymeKey}</div>
         </div>
 
+        {override && <div className="pronunciation-note">Using your corrected pronunciation.</div>}
+        {onCorrectPronunciation && (
+          <PronunciationEditor
+            key={annotation.word}
+            annotation={annotation}
+            override={override}
+            onSave={onCorrectPronunciation}
+            onReset={onResetPronunciation}
+          />
+        )}
+
         {/* Semantic Section */}
         <div className="annotation-section-title mt-6">Lexical Meaning</div>
         
-        {annotation.definition ? (
-          <div className="stat grimoire-stat">
-            <div className="statLabel italic">
-              {annotation.definition.partOfSpeech}
-            </div>
-            <div className="statValue definition-text">
-              {annotation.definition.text}
-              <div className="text-xs opacity-50 mt-1">Source: {annotation.definition.source}</div>
-            </div>
+        <DefinitionSection
+          key={annotation.word}
+          definition={annotation.definition}
+          spellings={annotation.spellings}
+          spellingsSource={annotation.sources?.spellings}
+        />
+        {annotation.keyProblems?.length > 0 && (
+          <div className="reference-notice" role="note">
+            {annotation.keyProblems.join("; ")}, so a free source answered instead.{" "}
+            <Link to="/settings">Check the key in Settings</Link>
           </div>
-        ) : (
-          <div className="text-xs opacity-50 italic px-4">No definition found.</div>
         )}
 
-        {annotation.synonyms?.length > 0 && (
-          <div className="stat grimoire-stat">
-            <div className="statLabel">Synonyms</div>
-            <div className="statValue flex flex-wrap gap-2">
-              {annotation.synonyms.slice(0, 8).map((syn, i) => (
-                <span key={syn} className="text-sm opacity-80 underline decoration-dotted">
-                  {syn}{i < Math.min(annotation.synonyms.length, 8) - 1 ? "," : ""}
-                </span>
-              ))}
-            </div>
-          </div>
+        <RelatedWords label="Synonyms" words={annotation.synonyms} source={annotation.sources?.synonyms} />
+        <RelatedWords label="Antonyms" words={annotation.antonyms} source={annotation.sources?.antonyms} />
+        <RelatedWords label="A kind of" words={annotation.hypernyms} source={annotation.sources?.hypernyms} />
+
+        {/* Wordplay Section */}
+        {onFindWordplay && (
+          <>
+            <div className="annotation-section-title mt-6">Wordplay</div>
+            <WordplaySection key={annotation.word} onFind={onFindWordplay} />
+          </>
         )}
 
         {/* Rhyme Section */}
@@ -128,12 +455,26 @@ export default function AnnotationPanel({ annotation, onClose }) {
         {annotation.rhymes?.length > 0 ? (
           <div className="stat grimoire-stat">
             <div className="statValue flex flex-wrap gap-2">
-              {annotation.rhymes.slice(0, 12).map((r) => (
-                <span key={r} className="phoneme-chip opacity-90 border-soft">
-                  {r}
-                </span>
-              ))}
+              {annotation.rhymes.slice(0, 12).map((r) =>
+                typeof r === "string" ? (
+                  <span key={r} className="phoneme-chip opacity-90 border-soft">
+                    {r}
+                  </span>
+                ) : (
+                  <span
+                    key={r.word}
+                    className={`phoneme-chip rhyme-chip rhyme-chip--${r.tier} opacity-90 border-soft`}
+                    title={`${r.tier} rhyme, score ${r.score}`}
+                  >
+                    {r.word}
+                    <span className="sr-only">, {r.tier} rhyme</span>
+                  </span>
+                )
+              )}
             </div>
+            {annotation.sources?.rhymes && (
+              <div className="text-xs opacity-50 mt-1">Source: {annotation.sources.rhymes}</div>
+            )}
           </div>
         ) : (
           <div className="text-xs opacity-50 italic px-4">No rhymes discovered.</div>
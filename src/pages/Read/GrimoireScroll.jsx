@@ -1,59 +1,108 @@
 import { useMemo, useCallback } from "react";
+import { tokenKey } from "../../lib/textNormalizer.js";
 
 export default function GrimoireScroll({
   text,
-  analyzedWords = {}, // Map of UPPERCASE word -> analysis object
+  analyzedWords = {}, // Map of tokenKey() -> analysis object
   onWordClick,
   disabled,
   onAnalyzeEthereal,
   isEngineReady,
+  cadence = null, // analyzeCadence() result, renders the syllable gutter
+  alliteration = null, // detectAlliteration() result, underlines each run
 }) {
-  const handleKeyDown = useCallback((e, word) => {
+  const handleKeyDown = useCallback((e, token, clean) => {
     if (e.key === 'Enter' || e.key === ' ') {
       e.preventDefault();
-      const clean = word.replace(/[^A-Za-z']/g, "");
       if (clean && !disabled) {
-        onWordClick?.(clean);
+        onWordClick?.(token);
       }
     }
   }, [disabled, onWordClick]);
 
-  const renderWords = useMemo(() => {
-    const parts = text.split(/(\s+)/);
-    return parts.map((p, i) => {
-      if (/^\s+$/.test(p)) {
-        return (
-          <span key={i} className="grimoire-space" aria-hidden="true">
-            {p}
-          </span>
-        );
-      }
-      
-      const clean = p.replace(/[^A-Za-z']/g, "").toUpperCase();
-      const analysis = analyzedWords[clean];
-      const wordClasses = ["grimoire-word"];
-      
-      if (analysis?.vowelFamily) {
-        wordClasses.push(`rhyme-${analysis.vowelFamily}`);
+  // Tokens are passed on as written; "24/7" is analyzed as TWENTY FOUR SEVEN
+  const renderWord = useCallback((p, key, onsetGroup) => {
+    const clean = tokenKey(p);
+    const analysis = analyzedWords[clean];
+    const wordClasses = ["grimoire-word"];
+
+    if (analysis?.vowelFamily) {
+      wordClasses.push(`rhyme-${analysis.vowelFamily}`);
+    }
+    if (onsetGroup) {
+      wordClasses.push("grimoire-word--alliteration");
+    }
+
+    return (
+      <button
+        key={key}
+        className={wordClasses.join(" ")}
+        disabled={disabled || !clean}
+        onClick={() => onWordClick?.(p)}
+        onKeyDown={(e) => handleKeyDown(e, p, clean)}
+        aria-label={`Analyze word: ${p}${onsetGroup ? ` (alliterates on ${onsetGroup})` : ""}`}
+        aria-disabled={disabled || !clean}
+        title={disabled ? "Awakening the engine..." : "Analyze this word"}
+        data-rhyme-key={analysis?.rhymeKey}
+        data-onset-group={onsetGroup}
+      >
+        {p}
+      </button>
+    );
+  }, [disabled, onWordClick, handleKeyDown, analyzedWords]);
+
+  // One row per line so the cadence gutter lines up with its bar
+  const renderLines = useMemo(() => {
+    const cadenceByLine = new Map((cadence?.lines || []).map((l) => [l.index, l]));
+    // line -> token index -> onset group of the run it belongs to
+    const alliterationByLine = new Map();
+    (alliteration?.runs || []).forEach((run) => {
+      if (!alliterationByLine.has(run.line)) alliterationByLine.set(run.line, new Map());
+      run.tokens.forEach((token) => alliterationByLine.get(run.line).set(token, run.group));
+    });
+
+    return text.split(/\r?\n/).map((line, li) => {
+      if (!line.trim()) {
+        return <div key={li} className="grimoire-line grimoire-line--blank" aria-hidden="true" />;
       }
 
+      const parts = line.split(/(\s+)/).filter(Boolean);
+      const bar = cadenceByLine.get(li);
+      const runs = alliterationByLine.get(li);
+      let tokenIndex = 0;
+
       return (
-        <button
-          key={i}
-          className={wordClasses.join(" ")}
-          disabled={disabled || !clean}
-          onClick={() => onWordClick?.(clean)}
-          onKeyDown={(e) => handleKeyDown(e, clean)}
-          aria-label={`Analyze word: ${clean}`}
-          aria-disabled={disabled || !clean}
-          title={disabled ? "Awakening the engine..." : "Analyze this word"}
-          data-rhyme-key={analysis?.rhymeKey}
-        >
-          {p}
-        </button>
+        <div key={li} className="grimoire-line">
+          {cadence && (
+            <span className={`cadence-cell${bar?.flag ? ` cadence-cell--${bar.flag}` : ""}`}>
+              <span aria-hidden="true">
+                <span className="cadence-count">{bar?.syllables ?? 0}</span>
+                <span className="cadence-stress">
+                  {[...(bar?.stressPattern || "")].map((stress, i) => (
+                    <span key={i} className={`cadence-beat cadence-beat--${stress}`} />
+                  ))}
+                </span>
+              </span>
+              <span className="sr-only">
+                {`${bar?.syllables ?? 0} syllables${bar?.flag ? `, ${bar.flag} bar` : ""}`}
+              </span>
+            </span>
+          )}
+          <span className="grimoire-line-text">
+            {parts.map((p, i) =>
+              /^\s+$/.test(p) ? (
+                <span key={i} className="grimoire-space" aria-hidden="true">
+                  {p}
+                </span>
+              ) : (
+                renderWord(p, i, runs?.get(tokenIndex++))
+              )
+            )}
+          </span>
+        </div>
       );
     });
-  }, [text, disabled, onWordClick, handleKeyDown, analyzedWords]);
+  }, [text, cadence, alliteration, renderWord]);
 
   return (
     <div className="grimoire-cover" role="document">
@@ -102,10 +151,24 @@ export default function GrimoireScroll({
           <span className="margin-symbol" style={{ top: "80%" }}>&#x2644;</span>
         </div>
 
+        {/* Cadence summary */}
+        {cadence && (
+          <div className="cadence-summary">
+            <span>{cadence.mean.toFixed(1)} syl/bar</span>
+            <span>&sigma; {cadence.stdDev.toFixed(1)}</span>
+            <span>
+              {cadence.flagged} uneven {cadence.flagged === 1 ? "bar" : "bars"}
+            </span>
+          </div>
+        )}
+
         {/* Scroll text content */}
-        <div className="grimoire-text" aria-label="Scroll content">
+        <div
+          className={`grimoire-text${cadence ? " grimoire-text--cadence" : ""}`}
+          aria-label="Scroll content"
+        >
           <span className="drop-cap" aria-hidden="true">E</span>
-          {renderWords}
+          {renderLines}
         </div>
 
         {/* Page footer with action */}
@@ -0,0 +1,91 @@
+import { useRef, useState } from "react";
+
+export default function PronunciationOverrides({ overrides, onRemove, onExport, onImport }) {
+  const fileRef = useRef(null);
+  const [status, setStatus] = useState("");
+  const words = Object.keys(overrides).sort();
+
+  const handleExport = () => {
+    const blob = new Blob([onExport()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "scholomance-pronunciations.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const count = onImport(await file.text());
+      setStatus(`Imported ${count} pronunciation${count === 1 ? "" : "s"}.`);
+    } catch (err) {
+      setStatus(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <section className="scroll-list overrides-list" aria-labelledby="overrides-title">
+      <div className="scroll-list-header">
+        <h3 id="overrides-title" className="scroll-list-title">
+          Pronunciations
+          <span className="scroll-count">{words.length}</span>
+        </h3>
+        <div className="overrides-actions">
+          <button
+            type="button"
+            className="new-scroll-btn"
+            onClick={handleExport}
+            disabled={words.length === 0}
+          >
+            Export
+          </button>
+          <button type="button" className="new-scroll-btn" onClick={() => fileRef.current?.click()}>
+            Import
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            className="sr-only"
+            tabIndex={-1}
+            aria-label="Import pronunciations file"
+            onChange={handleImport}
+          />
+        </div>
+      </div>
+
+      <div className="scroll-list-body">
+        {words.length === 0 ? (
+          <p className="overrides-empty">
+            Correct a word from its annotation panel and it will be listed here.
+          </p>
+        ) : (
+          <ul className="overrides-items">
+            {words.map((word) => (
+              <li key={word} className="overrides-item">
+                <span className="overrides-word">{word.toLowerCase()}</span>
+                <span className="overrides-phonemes">{overrides[word]}</span>
+                <button
+                  type="button"
+                  className="overrides-remove"
+                  onClick={() => onRemove(word)}
+                  aria-label={`Remove pronunciation for ${word.toLowerCase()}`}
+                  title="Remove pronunciation"
+                >
+                  &#x2715;
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="overrides-status" role="status" aria-live="polite">
+          {status}
+        </div>
+      </div>
+    </section>
+  );
+}
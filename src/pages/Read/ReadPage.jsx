@@ -1,31 +1,52 @@
-import { useState, useCallback, useEffect } from "react";
+import { useState, useCallback, useEffect, useMemo, useRef } from "react";
 import { AnimatePresence } from "framer-motion";
 import { usePhonemeEngine } from "../../hooks/usePhonemeEngine.jsx";
 import { useScrolls } from "../../hooks/useScrolls.jsx";
 import { useProgression } from "../../hooks/useProgression.jsx";
+import { usePronunciationOverrides } from "../../hooks/usePronunciationOverrides.jsx";
 import { XP_SOURCES } from "../../data/progression_constants.js";
+import { DIALECTS, DEFAULT_DIALECT } from "../../data/dialects.js";
 import { ReferenceEngine } from "../../lib/reference.engine.js";
+import { AnalysisClient, AnalysisCancelledError } from "../../lib/analysis.client.js";
+import { normalizeToken } from "../../lib/textNormalizer.js";
 import GrimoireScroll from "./GrimoireScroll.jsx";
 import AnnotationPanel from "./AnnotationPanel.jsx";
 import ScrollEditor from "./ScrollEditor.jsx";
 import ScrollList from "./ScrollList.jsx";
+import RhymeSchemePanel from "./RhymeSchemePanel.jsx";
+import RhymeStatsPanel from "./RhymeStatsPanel.jsx";
+import PronunciationOverrides from "./PronunciationOverrides.jsx";
 import "./ReadPage.css";
 
+// What Truesight can reveal; each layer toggles on its own
+const TRUESIGHT_LAYERS = [
+  { id: "vowels", label: "Vowels", title: "Color every word by vowel family" },
+  { id: "alliteration", label: "Alliteration", title: "Underline runs of words sharing an onset" },
+];
+
 export default function ReadPage() {
   const { isReady, engine } = usePhonemeEngine();
   const { scrolls, createScroll, updateScroll, deleteScroll, getScrollById } =
     useScrolls();
   const { addXP } = useProgression(); // NEW
+  const { overrides, setOverride, removeOverride, exportOverrides, importOverrides } =
+    usePronunciationOverrides();
 
   const [annotation, setAnnotation] = useState(null);
-  const [analyzedWords, setAnalyzedWords] = useState({}); // Track analyzed words
+  const [revealedWords, setRevealedWords] = useState(() => new Set()); // tokenKey()s clicked so far
+  const [clickedWords, setClickedWords] = useState({}); // their analyses, read from the engine cache
   const [activeScrollId, setActiveScrollId] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [viewMode, setViewMode] = useState("editor"); // "editor" | "viewer"
   const [announcement, setAnnouncement] = useState(""); // NEW: For screen readers
   const [isTruesight, setIsTruesight] = useState(false); // Truesight toggle
+  const [truesightLayers, setTruesightLayers] = useState({ vowels: true, alliteration: true });
+  const [scrollAnalysis, setScrollAnalysis] = useState(null); // { words, scheme, metrics, multis, cadence, alliteration } for the active scroll
+  const [analysisProgress, setAnalysisProgress] = useState(null); // { stage, progress } while the worker runs
 
   const activeScroll = activeScrollId ? getScrollById(activeScrollId) : null;
+  const dialect = activeScroll?.dialect ?? DEFAULT_DIALECT;
+  const [engineDialect, setEngineDialect] = useState(null); // pack the main-thread engine has loaded
 
   // Create announcement when annotation changes
   useEffect(() => {
@@ -33,6 +54,7 @@ export default function ReadPage() {
       setAnnouncement(
         `${annotation.word}: ${annotation.vowelFamily} vowel family, ` +
         `${annotation.phonemes.length} phonemes, ` +
+        `${annotation.syllableCount ?? 0} syllables, ` +
         `rhyme key ${annotation.rhymeKey}`
       );
     } else {
@@ -40,61 +62,148 @@ export default function ReadPage() {
     }
   }, [annotation]);
 
-  // Handle Truesight activation
+  // Scroll-level analysis (Truesight words, rhyme scheme, rhyme map, cadence)
+  // runs in the phoneme worker; switching scrolls cancels the previous run.
+  const scrollContent = activeScroll?.content;
   useEffect(() => {
-    if (isTruesight && activeScroll && engine && isReady) {
-      const words = activeScroll.content.split(/\s+/);
-      const newAnalysis = { ...analyzedWords };
-      let hasUpdates = false;
-
-      words.forEach(word => {
-        const clean = word.replace(/[^A-Za-z']/g, "").toUpperCase();
-        if (clean && !newAnalysis[clean]) {
-          const result = engine.analyzeWord(clean);
-          if (result) {
-            newAnalysis[clean] = {
-              word: clean,
-              ...result,
-              rhymeKey: result.rhymeKey ?? `${result.vowelFamily}-${result.coda ?? ""}`
-            };
-            hasUpdates = true;
+    setScrollAnalysis(null);
+    setAnalysisProgress(null);
+    if (!(scrollContent && isReady)) return;
+
+    const controller = new AbortController();
+
+    AnalysisClient.analyzeScroll(scrollContent, {
+      signal: controller.signal,
+      onProgress: setAnalysisProgress,
+      dialect,
+    })
+      .then((result) => {
+        setScrollAnalysis(result);
+        setAnalysisProgress(null);
+
+        // First time a pattern is found earns the discovery XP
+        result.scheme.stanzas.forEach((stanza) => {
+          if (stanza.pattern) {
+            addXP(XP_SOURCES.NEW_RHYME_SCHEME, "rhyme-scheme", `rhyme-scheme-${stanza.pattern.id}`);
           }
+        });
+      })
+      .catch((err) => {
+        if (!(err instanceof AnalysisCancelledError)) {
+          console.warn("Scroll analysis failed:", err);
+          setAnalysisProgress(null);
         }
       });
 
-      if (hasUpdates) {
-        setAnalyzedWords(newAnalysis);
-      }
-    }
-  }, [isTruesight, activeScroll, engine, isReady]);
+    return () => controller.abort();
+  }, [scrollContent, isReady, addXP, overrides, dialect]);
+
+  // Word clicks are analyzed on the main thread, in the scroll's dialect
+  useEffect(() => {
+    if (!isReady) return;
+    let live = true;
+    engine
+      .setDialect(dialect)
+      .then(() => live && setEngineDialect(dialect))
+      .catch((err) => console.warn("Dialect pack failed to load:", err));
+    return () => {
+      live = false;
+    };
+  }, [engine, isReady, dialect]);
+
+  // A corrected pronunciation or another dialect changes the phonetics of
+  // the open annotation
+  useEffect(() => {
+    setAnnotation((prev) => (prev ? { ...prev, ...engine.analyzePhrase(prev.spoken) } : prev));
+  }, [overrides, engine, engineDialect]);
 
+  // Clicked words are kept as keys and read back from the engine's cache,
+  // so they follow overrides and dialect changes
+  useEffect(() => {
+    const words = {};
+    revealedWords.forEach((key) => {
+      const result = engine.analyzePhrase(key.split(" "));
+      if (result) words[key] = { word: key, ...result };
+    });
+    setClickedWords(words);
+  }, [revealedWords, engine, engineDialect, overrides]);
+
+  // Truesight colors every word; otherwise only the words clicked so far
+  const displayedWords = useMemo(
+    () =>
+      isTruesight && truesightLayers.vowels
+        ? { ...scrollAnalysis?.words, ...clickedWords }
+        : clickedWords,
+    [isTruesight, truesightLayers, scrollAnalysis, clickedWords]
+  );
+
+  // The word lookup in progress; a newer click aborts it
+  const lookupRef = useRef(null);
+  useEffect(() => () => lookupRef.current?.abort(), []);
+
+  // Tokens arrive as written; the normalizer says what is actually spoken
   const analyze = useCallback(
-    async (word) => {
-      const clean = String(word || "")
-        .replace(/[^A-Za-z']/g, "")
-        .toUpperCase();
+    async (token) => {
+      const words = normalizeToken(token);
+      const clean = words.join(" ");
       if (!clean) return;
 
-      const result = engine.analyzeWord(clean);
+      lookupRef.current?.abort();
+      const lookup = new AbortController();
+      lookupRef.current = lookup;
+
+      await engine.ensureWords(words);
+      if (lookup.signal.aborted) return;
+      const result = engine.analyzePhrase(words);
       if (result) {
         const rhymeKey =
           result.rhymeKey ?? `${result.vowelFamily}-${result.coda ?? ""}`;
-        
-        // Fetch external references
-        const references = await ReferenceEngine.fetchAll(clean);
+        const isPhrase = words.length > 1;
+
+        // External references, plus ranked rhymes from the offline index.
+        // A phrase ("24/7") has no dictionary entry; it rhymes on its last word.
+        const [references, localRhymes] = await Promise.all([
+          isPhrase
+            ? {
+                rhymes: [],
+                definition: null,
+                spellings: [],
+                synonyms: [],
+                antonyms: [],
+                hypernyms: [],
+                sources: {},
+                keyProblems: [],
+              }
+            : ReferenceEngine.fetchAll(clean, { signal: lookup.signal }).catch(() => null),
+          AnalysisClient.findRhymes(words.at(-1), { limit: 12, dialect }).catch((err) => {
+            console.warn("Offline rhyme search failed:", err);
+            return [];
+          }),
+        ]);
+        // A newer click took over while this one waited
+        if (lookup.signal.aborted) return;
 
         const analysis = {
           word: clean,
+          spoken: words,
+          // Shown when the spelling differs from what is said ("$100")
+          written: isPhrase || /[\d$%&@+=#]/.test(token) ? token.replace(/[.,!?;:"]+$/, "") : null,
           ...result,
           rhymeKey,
-          ...references // Add definition, synonyms, rhymes
+          ...references, // Add definition, related words, rhymes, their sources
+          // Datamuse rhymes are only the fallback
+          rhymes: localRhymes.length > 0 ? localRhymes : references.rhymes,
+          sources: {
+            ...references.sources,
+            rhymes: localRhymes.length > 0 ? "Offline rhyme index" : references.sources.rhymes,
+          },
         };
 
         setAnnotation(analysis);
-        setAnalyzedWords((prev) => ({ ...prev, [clean]: analysis }));
+        setRevealedWords((prev) => new Set(prev).add(clean));
       }
     },
-    [engine]
+    [engine, dialect]
   );
 
   const handleSaveScroll = useCallback(
@@ -119,7 +228,7 @@ export default function ReadPage() {
     setIsEditing(false);
     setViewMode("viewer");
     setAnnotation(null);
-    setAnalyzedWords({}); // Reset analyzed words
+    setRevealedWords(new Set()); // Reset revealed words
     setIsTruesight(false); // Reset Truesight
   }, []);
 
@@ -128,7 +237,7 @@ export default function ReadPage() {
     setIsEditing(false);
     setViewMode("editor");
     setAnnotation(null);
-    setAnalyzedWords({}); // Reset analyzed words
+    setRevealedWords(new Set()); // Reset revealed words
     setIsTruesight(false); // Reset Truesight
   }, []);
 
@@ -189,6 +298,12 @@ export default function ReadPage() {
               onDelete={handleDeleteScroll}
               onNewScroll={handleNewScroll}
             />
+            <PronunciationOverrides
+              overrides={overrides}
+              onRemove={removeOverride}
+              onExport={exportOverrides}
+              onImport={importOverrides}
+            />
           </aside>
 
           {/* Right Panel: Editor or Viewer */}
@@ -203,12 +318,27 @@ export default function ReadPage() {
                   onCancel={isEditing ? handleCancelEdit : undefined}
                   isEditing={isEditing}
                   disabled={!isReady}
+                  dialect={isEditing ? dialect : DEFAULT_DIALECT}
                 />
               ) : activeScroll ? (
                 <div key={`view-${activeScrollId}`} className="flex flex-col gap-6 h-full animate-fadeIn">
                   <div className="flex items-center justify-between glass p-6 rounded-xl border-soft">
                     <h2 className="text-2xl font-bold text-primary">{activeScroll.title}</h2>
                     <div className="flex gap-3">
+                      <label className="dialect-select">
+                        <span className="sr-only">Dialect</span>
+                        <select
+                          value={dialect}
+                          onChange={(e) => updateScroll(activeScrollId, { dialect: e.target.value })}
+                          title="Accent the scroll is read in"
+                        >
+                          {DIALECTS.map((d) => (
+                            <option key={d.id} value={d.id}>
+                              {d.name}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
                       <button
                         type="button"
                         className={`btn ${isTruesight ? 'btn-primary' : 'btn-secondary'}`}
@@ -218,6 +348,24 @@ export default function ReadPage() {
                         <span className="btn-icon">👁</span>
                         {isTruesight ? "Truesight: ON" : "Truesight: OFF"}
                       </button>
+                      {isTruesight && (
+                        <div className="truesight-layers" role="group" aria-label="Truesight layers">
+                          {TRUESIGHT_LAYERS.map((layer) => (
+                            <button
+                              key={layer.id}
+                              type="button"
+                              className="truesight-layer"
+                              aria-pressed={truesightLayers[layer.id]}
+                              onClick={() =>
+                                setTruesightLayers((prev) => ({ ...prev, [layer.id]: !prev[layer.id] }))
+                              }
+                              title={layer.title}
+                            >
+                              {layer.label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
                       <button
                         type="button"
                         className="btn btn-secondary"
@@ -227,17 +375,30 @@ export default function ReadPage() {
                       </button>
                     </div>
                   </div>
-                  <GrimoireScroll
-                    text={activeScroll.content}
-                    analyzedWords={analyzedWords}
-                    onWordClick={analyze}
-                    disabled={!isReady}
-                    onAnalyzeEthereal={() => {
-                      const words = activeScroll.content.split(/\s+/);
-                      if (words.length > 0) analyze(words[0]);
-                    }}
-                    isEngineReady={isReady}
-                  />
+                  <div className="scroll-viewer-layout">
+                    <GrimoireScroll
+                      text={activeScroll.content}
+                      analyzedWords={displayedWords}
+                      onWordClick={analyze}
+                      disabled={!isReady}
+                      onAnalyzeEthereal={() => {
+                        const words = activeScroll.content.split(/\s+/);
+                        if (words.length > 0) analyze(words[0]);
+                      }}
+                      isEngineReady={isReady}
+                      cadence={scrollAnalysis?.cadence}
+                      alliteration={
+                        isTruesight && truesightLayers.alliteration ? scrollAnalysis?.alliteration : null
+                      }
+                    />
+                    <div className="scroll-side-panels">
+                      <RhymeSchemePanel
+                        analysis={scrollAnalysis?.scheme}
+                        progress={analysisProgress}
+                      />
+                      <RhymeStatsPanel metrics={scrollAnalysis?.metrics} multis={scrollAnalysis?.multis} />
+                    </div>
+                  </div>
                 </div>
               ) : (
                 <div className="scroll-placeholder animate-scaleIn">
@@ -263,6 +424,10 @@ export default function ReadPage() {
           <AnnotationPanel
             annotation={annotation}
             onClose={() => setAnnotation(null)}
+            override={overrides[annotation.word]}
+            onCorrectPronunciation={annotation.spoken.length === 1 ? setOverride : undefined}
+            onResetPronunciation={removeOverride}
+            onFindWordplay={() => AnalysisClient.findWordplay(annotation.spoken, { dialect })}
           />
         )}
       </AnimatePresence>
@@ -0,0 +1,79 @@
+const STAGE_LABELS = {
+  lexicon: "Opening the lexicon",
+  words: "Reading the words",
+  scheme: "Divining the scheme",
+  metrics: "Mapping the rhymes",
+  multis: "Lining up the multis",
+  cadence: "Counting the cadence",
+  alliteration: "Hearing the alliteration",
+};
+
+export default function RhymeSchemePanel({ analysis, progress }) {
+  if (!analysis) {
+    const percent = Math.round((progress?.progress ?? 0) * 100);
+    return (
+      <aside className="scheme-panel glass border-soft" aria-label="Rhyme scheme">
+        <div className="annotation-section-title">Rhyme Scheme</div>
+        <p className="scheme-empty">
+          {progress ? `${STAGE_LABELS[progress.stage] ?? "Analyzing"}...` : "Divining the scheme..."}
+        </p>
+        {progress && (
+          <div
+            className="analysis-progress"
+            role="progressbar"
+            aria-label="Scroll analysis progress"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={percent}
+          >
+            <span className="analysis-progress-fill" style={{ width: `${percent}%` }} />
+          </div>
+        )}
+      </aside>
+    );
+  }
+
+  const { bars, stanzas, chains } = analysis;
+
+  return (
+    <aside className="scheme-panel glass border-soft" aria-label="Rhyme scheme">
+      <div className="annotation-section-title">Rhyme Scheme</div>
+
+      <div className="scheme-stanzas">
+        {stanzas.map((stanza, i) => (
+          <div key={i} className="scheme-stanza">
+            <span className="scheme-letters">{stanza.scheme}</span>
+            <span className="scheme-pattern">
+              {stanza.pattern ? stanza.pattern.label : "Free form"}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {chains.length > 0 && (
+        <div className="scheme-chains">
+          {chains.map((chain) => (
+            <span key={chain.start} className="stat-badge">
+              Chain {chain.letter} &times;{chain.length}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <ol className="scheme-bars">
+        {bars.map((bar) => (
+          <li key={bar.index} className="scheme-bar">
+            <span
+              className={`scheme-letter scheme-letter--${bar.letter}`}
+              aria-label={`Rhyme ${bar.letter}${bar.tier ? `, ${bar.tier}` : ""}`}
+            >
+              {bar.letter}
+            </span>
+            <span className="scheme-end-word">{bar.endWord ?? "—"}</span>
+            {bar.tier && <span className="scheme-tier">{bar.tier}</span>}
+          </li>
+        ))}
+      </ol>
+    </aside>
+  );
+}
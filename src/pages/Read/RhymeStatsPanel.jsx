@@ -0,0 +1,88 @@
+const percent = (value) => `${Math.round(value * 100)}%`;
+const MULTIS_SHOWN = 6;
+
+const spoken = (span) => span.words.join(" ").toLowerCase();
+
+export default function RhymeStatsPanel({ metrics, multis }) {
+  if (!metrics) return null;
+
+  const { lines, totals, longestChain, dominantFamily } = metrics;
+  // Bars are numbered as in the table: non-empty lines only
+  const barNumbers = new Map(lines.map((line, i) => [line.index, i + 1]));
+  const strongest = [...(multis || [])]
+    .sort((x, y) => y.match.magnitude - x.match.magnitude)
+    .slice(0, MULTIS_SHOWN);
+
+  return (
+    <aside className="stats-panel glass border-soft" aria-label="Rhyme statistics">
+      <div className="annotation-section-title">Rhyme Map</div>
+
+      <dl className="stats-summary">
+        <div className="stats-summary-item">
+          <dt>Density</dt>
+          <dd>{percent(totals.density)}</dd>
+        </div>
+        <div className="stats-summary-item">
+          <dt>Internal</dt>
+          <dd>{totals.internalRhymes}</dd>
+        </div>
+        <div className="stats-summary-item">
+          <dt>Longest chain</dt>
+          <dd>{longestChain ? `${longestChain.length} bars` : "—"}</dd>
+        </div>
+        <div className="stats-summary-item">
+          <dt>Top vowel</dt>
+          <dd style={dominantFamily ? { color: `var(--vowel-${dominantFamily.family})` } : undefined}>
+            {dominantFamily ? `${dominantFamily.family} ×${dominantFamily.count}` : "—"}
+          </dd>
+        </div>
+      </dl>
+
+      <table className="stats-table">
+        <caption className="sr-only">Per-bar rhyme statistics</caption>
+        <thead>
+          <tr>
+            <th scope="col">Bar</th>
+            <th scope="col">Syl</th>
+            <th scope="col">Int</th>
+            <th scope="col">Density</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((line, i) => (
+            <tr key={line.index}>
+              <th scope="row">{i + 1}</th>
+              <td>{line.syllables}</td>
+              <td>{line.internalRhymes}</td>
+              <td>
+                <span className="density-bar" aria-hidden="true">
+                  <span className="density-fill" style={{ width: percent(line.density) }} />
+                </span>
+                {percent(line.density)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {strongest.length > 0 && (
+        <>
+          <div className="annotation-section-title mt-4">Multis</div>
+          <ol className="stats-multis">
+            {strongest.map(({ lineA, lineB, match }) => (
+              <li key={`${lineA}-${lineB}`} className="stats-multi">
+                <span className="stats-multi-bars">
+                  {barNumbers.get(lineA)}&ndash;{barNumbers.get(lineB)}
+                </span>
+                <span>
+                  {spoken(match.a)} / {spoken(match.b)}
+                </span>
+                <span className="stats-multi-syllables">{match.length} syl</span>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </aside>
+  );
+}
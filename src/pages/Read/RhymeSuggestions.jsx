@@ -0,0 +1,52 @@
+const TIER_LABELS = {
+  perfect: "Perfect",
+  near: "Near",
+  slant: "Slant",
+  assonance: "Assonance",
+};
+
+/**
+ * Popover listing line-ending suggestions (see lib/rhymeSuggest.js) grouped
+ * by tier. Keyboard handling stays with the textarea, which points at the
+ * active option through aria-activedescendant (`${id}-option-${index}`,
+ * counted across groups); options are picked with the mouse here.
+ */
+export default function RhymeSuggestions({ id, target, groups, activeIndex, onAccept }) {
+  let index = 0;
+
+  return (
+    <div className="rhyme-suggest" role="listbox" id={id} aria-label={`Rhymes for ${target}`}>
+      <div className="rhyme-suggest-title" aria-hidden="true">
+        Rhymes for &ldquo;{target}&rdquo;
+      </div>
+      {groups.map((group) => (
+        <div key={group.tier} role="group" aria-label={TIER_LABELS[group.tier]}>
+          <div className="rhyme-suggest-tier" aria-hidden="true">
+            {TIER_LABELS[group.tier]}
+          </div>
+          {group.suggestions.map((suggestion) => {
+            const optionIndex = index++;
+            return (
+              <div
+                key={suggestion.text}
+                id={`${id}-option-${optionIndex}`}
+                role="option"
+                aria-selected={optionIndex === activeIndex}
+                tabIndex={-1}
+                className={`rhyme-suggest-option${optionIndex === activeIndex ? " is-active" : ""}`}
+                // Keep focus (and the caret) in the textarea
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => onAccept(suggestion.text)}
+                onKeyDown={(e) => e.key === "Enter" && onAccept(suggestion.text)}
+                title={`${TIER_LABELS[group.tier]} rhyme, score ${suggestion.score}`}
+              >
+                {suggestion.text}
+                <span className="rhyme-suggest-syllables">{suggestion.syllables}</span>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
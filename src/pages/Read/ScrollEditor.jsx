@@ -1,5 +1,31 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import { motion } from "framer-motion";
+import { AnalysisClient } from "../../lib/analysis.client.js";
+import { tokenizeWords } from "../../lib/fusionRhymes.js";
+import RhymeSuggestions from "./RhymeSuggestions.jsx";
+
+const SUGGEST_DELAY_MS = 300;
+const SUGGESTIONS_ID = "rhyme-suggestions";
+
+/**
+ * The caret's place for line-ending suggestions: the end of a non-empty line
+ * following a non-blank one. partial is the word being typed there.
+ * @returns {{ previousBar: string, partial: string, partialStart: number }|null}
+ */
+function lineContext(content, cursor) {
+  const lineStart = content.lastIndexOf("\n", cursor - 1) + 1;
+  if (lineStart === 0) return null;
+  const lineEnd = content.indexOf("\n", cursor);
+  const before = content.slice(lineStart, cursor);
+  const after = content.slice(cursor, lineEnd === -1 ? undefined : lineEnd);
+  if (!before.trim() || after.trim()) return null;
+
+  const previousBar = content.slice(content.lastIndexOf("\n", lineStart - 2) + 1, lineStart - 1);
+  if (!previousBar.trim()) return null;
+
+  const partial = /[\w']*$/.exec(before)[0];
+  return { previousBar, partial, partialStart: cursor - partial.length };
+}
 
 export default function ScrollEditor({
   initialTitle = "",
@@ -8,11 +34,18 @@ export default function ScrollEditor({
   onCancel,
   isEditing = false,
   disabled = false,
+  dialect,
 }) {
   const [title, setTitle] = useState(initialTitle);
   const [content, setContent] = useState(initialContent);
   const [isSaving, setIsSaving] = useState(false);
+  const [cursor, setCursor] = useState(null);
+  const [suggestions, setSuggestions] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
   const textareaRef = useRef(null);
+  const contentRef = useRef(content);
+  const pendingCaret = useRef(null);
 
   useEffect(() => {
     setTitle(initialTitle);
@@ -25,6 +58,74 @@ export default function ScrollEditor({
     }
   }, [initialContent]);
 
+  useEffect(() => {
+    contentRef.current = content;
+    // Put the caret back after an accepted suggestion re-renders the text
+    if (pendingCaret.current !== null) {
+      textareaRef.current?.setSelectionRange(pendingCaret.current, pendingCaret.current);
+      pendingCaret.current = null;
+    }
+  }, [content]);
+
+  const context = useMemo(
+    () => (cursor === null ? null : lineContext(content, cursor)),
+    [content, cursor]
+  );
+  const previousBar = context?.previousBar ?? null;
+  const partial = context?.partial ?? "";
+
+  // Fetched per bar being rhymed with, not per keystroke; the scroll's own
+  // words (as of the fetch) are the vocabulary for phrases
+  useEffect(() => {
+    setSuggestions(null);
+    setDismissed(false);
+    if (!previousBar || disabled) return undefined;
+
+    let live = true;
+    const timer = setTimeout(() => {
+      AnalysisClient.suggestLineEndings(previousBar, {
+        vocabulary: tokenizeWords(contentRef.current),
+        dialect,
+      })
+        .then((result) => live && setSuggestions(result))
+        .catch((err) => console.warn("ScrollEditor: Failed to suggest line endings", err));
+    }, SUGGEST_DELAY_MS);
+    return () => {
+      live = false;
+      clearTimeout(timer);
+    };
+  }, [previousBar, dialect, disabled]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [partial, suggestions]);
+
+  // Narrowed to the word being typed, unless nothing starts with it
+  const visibleGroups = useMemo(() => {
+    if (!suggestions) return [];
+    const prefix = partial.toLowerCase();
+    const matching = suggestions.groups
+      .map((group) => ({ ...group, suggestions: group.suggestions.filter((s) => s.text.startsWith(prefix)) }))
+      .filter((group) => group.suggestions.length > 0);
+    return matching.length > 0 ? matching : suggestions.groups;
+  }, [suggestions, partial]);
+
+  const options = visibleGroups.flatMap((group) => group.suggestions);
+  const isSuggesting = Boolean(context) && !dismissed && options.length > 0;
+
+  const trackCursor = (e) => {
+    const { selectionStart, selectionEnd } = e.target;
+    setCursor(selectionStart === selectionEnd ? selectionEnd : null);
+  };
+
+  const acceptSuggestion = (text) => {
+    const caret = context.partialStart + text.length;
+    pendingCaret.current = caret;
+    setContent(content.slice(0, context.partialStart) + text + content.slice(cursor));
+    setCursor(caret);
+    setDismissed(true);
+  };
+
   const handleSave = async () => {
     if (!content.trim()) return;
     setIsSaving(true);
@@ -36,6 +137,28 @@ export default function ScrollEditor({
   };
 
   const handleKeyDown = (e) => {
+    if (isSuggesting) {
+      if (e.key === "Tab") {
+        e.preventDefault();
+        acceptSuggestion(options[activeIndex].text);
+        return;
+      }
+      if (e.altKey && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setActiveIndex((index) => (index + step + options.length) % options.length);
+        return;
+      }
+      if (e.key === "Escape") {
+        setDismissed(true);
+        return;
+      }
+    }
+    if (e.key === " " && e.ctrlKey) {
+      e.preventDefault();
+      setDismissed(false);
+      return;
+    }
     if (e.key === "s" && (e.ctrlKey || e.metaKey)) {
       e.preventDefault();
       handleSave();
@@ -101,20 +224,42 @@ export default function ScrollEditor({
 Click any word after saving to analyze its phonetic structure."
           value={content}
           onChange={(e) => setContent(e.target.value)}
+          onSelect={trackCursor}
+          onBlur={() => setCursor(null)}
           onKeyDown={handleKeyDown}
           disabled={disabled || isSaving}
           spellCheck="false"
           aria-required="true"
           aria-describedby="content-hint"
+          aria-autocomplete="list"
+          aria-controls={isSuggesting ? SUGGESTIONS_ID : undefined}
+          aria-activedescendant={isSuggesting ? `${SUGGESTIONS_ID}-option-${activeIndex}` : undefined}
         />
         <span id="content-hint" className="sr-only">
-          Enter the text you want to analyze. Press Ctrl+S to save.
+          Enter the text you want to analyze. Press Ctrl+S to save. At the end of a line, endings
+          rhyming with the line before are suggested: Tab inserts one, Alt+Up and Alt+Down choose,
+          Escape hides them and Ctrl+Space shows them again.
         </span>
+        {isSuggesting && (
+          <RhymeSuggestions
+            id={SUGGESTIONS_ID}
+            target={suggestions.target}
+            groups={visibleGroups}
+            activeIndex={activeIndex}
+            onAccept={acceptSuggestion}
+          />
+        )}
       </div>
 
       <div className="editor-footer">
         <div className="editor-hint">
           <kbd>Ctrl</kbd>+<kbd>S</kbd> to save
+          {isSuggesting && (
+            <>
+              {" "}&middot; <kbd>Tab</kbd> to rhyme &middot; <kbd>Alt</kbd>+<kbd>&uarr;</kbd>
+              <kbd>&darr;</kbd> to choose
+            </>
+          )}
           {onCancel && (
             <>
               {" "}&middot; <kbd>Esc</kbd> to cancel
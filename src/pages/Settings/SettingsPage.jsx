@@ -0,0 +1,179 @@
+import { useState } from "react";
+import { REFERENCE_KEYS, ReferenceEngine } from "../../lib/reference.engine.js";
+import { REFERENCE_CAPABILITIES } from "../../lib/referenceProviders.js";
+import "./SettingsPage.css";
+
+const CAPABILITY_LABELS = {
+  definition: "Definitions",
+  synonyms: "Synonyms",
+  antonyms: "Antonyms",
+  hypernyms: "Broader terms",
+  rhymes: "Rhymes",
+  etymology: "Etymologies",
+  spellings: "Spelling suggestions",
+};
+
+// Enough of a key to tell two apart, never enough to reuse it
+const mask = (key) => `${"•".repeat(8)}${key.length > 8 ? key.slice(-4) : ""}`;
+
+function KeyField({ spec, onChange }) {
+  const [stored, setStored] = useState(() => ReferenceEngine.getKeys()[spec.name]);
+  const [draft, setDraft] = useState("");
+  const [isEditing, setIsEditing] = useState(!stored);
+  const [check, setCheck] = useState(null); // { status, message } | { status: "testing" }
+  const labelId = `key-${spec.name}`;
+  const statusId = `${labelId}-status`;
+
+  const save = async (value) => {
+    await ReferenceEngine.setKey(spec.name, value);
+    setStored(ReferenceEngine.getKeys()[spec.name]);
+    setDraft("");
+    setIsEditing(false);
+    onChange();
+  };
+
+  const test = async (value) => {
+    setCheck({ status: "testing", message: "Trying a lookup..." });
+    const result = await ReferenceEngine.testKey(spec.name, value);
+    setCheck(result);
+    return result;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    const result = await test(draft);
+    if (result.status === "valid") await save(draft);
+  };
+
+  const handleClear = async () => {
+    await save(null);
+    setCheck(null);
+    setIsEditing(true);
+  };
+
+  return (
+    <div className="settings-key">
+      <h2 id={labelId} className="settings-key-label">
+        {spec.label}
+      </h2>
+      <div className="text-sm text-muted">Unlocks {CAPABILITY_LABELS[spec.capability].toLowerCase()}.</div>
+
+      {isEditing ? (
+        <form className="settings-key-row" onSubmit={handleSubmit}>
+          <input
+            type="password"
+            className="input"
+            placeholder="Paste your key"
+            autoComplete="off"
+            spellCheck="false"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            aria-labelledby={labelId}
+            aria-describedby={statusId}
+          />
+          <button type="submit" className="btn btn-primary" disabled={!draft.trim() || check?.status === "testing"}>
+            Test &amp; Save
+          </button>
+          {check?.status === "unreachable" && (
+            <button type="button" className="btn btn-secondary" onClick={() => save(draft)}>
+              Save Anyway
+            </button>
+          )}
+          {stored && (
+            <button type="button" className="btn btn-secondary" onClick={() => setIsEditing(false)}>
+              Cancel
+            </button>
+          )}
+        </form>
+      ) : (
+        <div className="settings-key-row">
+          <code className="settings-key-masked" aria-label="Saved key, hidden">
+            {mask(stored)}
+          </code>
+          <button type="button" className="btn btn-secondary" onClick={() => test(stored)}>
+            Test
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setIsEditing(true)}>
+            Replace
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={handleClear}>
+            Clear
+          </button>
+        </div>
+      )}
+
+      <div id={statusId} role="status" className={`settings-key-status settings-key-status--${check?.status ?? "idle"}`}>
+        {check?.message}
+      </div>
+    </div>
+  );
+}
+
+// Who answers each kind of lookup, in the order they are asked
+function LookupChains() {
+  const keys = ReferenceEngine.getKeys();
+  const keyless = (provider, capability) =>
+    REFERENCE_KEYS.some((spec) => spec.provider === provider.id && spec.capability === capability && !keys[spec.name]);
+
+  return (
+    <dl className="settings-chains">
+      {REFERENCE_CAPABILITIES.map((capability) => (
+        <div key={capability} className="settings-chain">
+          <dt>{CAPABILITY_LABELS[capability]}</dt>
+          <dd>
+            <ol>
+              {ReferenceEngine.getChain(capability).map((provider) => {
+                const note = ReferenceEngine.KEY_PROBLEMS.has(`${provider.id}/${capability}`)
+                  ? "key rejected"
+                  : keyless(provider, capability)
+                    ? "no key"
+                    : ReferenceEngine.isResting(provider.id)
+                      ? "resting after errors"
+                      : null;
+                return (
+                  <li key={provider.id} className={note ? "is-skipped" : ""}>
+                    {provider.name}
+                    {note && <span className="text-muted"> ({note})</span>}
+                  </li>
+                );
+              })}
+            </ol>
+          </dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+export default function SettingsPage() {
+  // Re-reads the chains once a key changes
+  const [revision, setRevision] = useState(0);
+
+  return (
+    <section className="section min-h-screen">
+      <div className="container">
+        <header className="section-header">
+          <div className="kicker">Settings</div>
+          <h1 className="title">Reference keys</h1>
+          <p className="subtitle">
+            Definitions and synonyms come from free sources by default, and from a bundled WordNet when
+            you are offline. Paste a Merriam-Webster key to read their fuller entries instead; keys stay
+            in this browser.
+          </p>
+        </header>
+
+        <div className="glass-strong p-8 settings-panel">
+          {REFERENCE_KEYS.map((spec) => (
+            <KeyField key={spec.name} spec={spec} onChange={() => setRevision((n) => n + 1)} />
+          ))}
+        </div>
+
+        <div className="glass-strong p-8 settings-panel mt-8">
+          <h2 className="settings-panel-title">Lookup order</h2>
+          <LookupChains key={revision} />
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,110 @@
+/* eslint-env node */
+// tests/analysis.server.test.js
+// Runs against a local instance: npm run test:server
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { PhonemeEngine } from "../src/lib/phoneme.engine.js";
+import { createFileLoader } from "../src/lib/nodeAssets.js";
+import { createAnalysisServer } from "../src/lib/analysis.server.js";
+
+describe("Analysis server", () => {
+  let server;
+  let baseUrl;
+
+  const request = async (path, { method = "GET", body } = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: res.status, type: res.headers.get("content-type"), body: await res.json() };
+  };
+
+  before(async () => {
+    await PhonemeEngine.init({ loadAsset: createFileLoader(), silent: true });
+    server = createAnalysisServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it("reports health with the lexicon size and dialects", async () => {
+    const { status, type, body } = await request("/health");
+    assert.equal(status, 200);
+    assert.match(type, /application\/json/);
+    assert.equal(body.status, "ok");
+    assert.ok(body.words > 100000);
+    assert.ok(body.dialects.some((d) => d.id === "uk-rp"));
+  });
+
+  it("POST /analyze returns per-word analysis and the rhyme scheme", async () => {
+    const { status, body } = await request("/analyze", {
+      method: "POST",
+      body: { text: "I keep it on time\nthe verse is all mine" },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.lines.length, 2);
+    assert.deepEqual(body.lines.map((l) => l.letter), ["A", "A"]);
+
+    const time = body.lines[0].words.find((w) => w.token === "time");
+    assert.equal(time.vowelFamily, "AY");
+    assert.equal(time.rhymeKey, "AY-M");
+    assert.deepEqual(time.phonemes, ["T", "AY1", "M"]);
+    assert.equal(body.summary.words, 10);
+  });
+
+  it("POST /analyze expands numerals before analysis", async () => {
+    const { body } = await request("/analyze", { method: "POST", body: { text: "grind 24/7" } });
+    const token = body.lines[0].words[1];
+    assert.equal(token.token, "24/7");
+    assert.equal(token.spoken, "TWENTY FOUR SEVEN");
+  });
+
+  it("POST /score rates a word pair", async () => {
+    const { status, body } = await request("/score", { method: "POST", body: { a: "time", b: "dime" } });
+    assert.equal(status, 200);
+    assert.equal(body.tier, "perfect");
+    assert.ok(body.score >= 0.92);
+    assert.equal(body.breakdown.vowel_family.match, 1);
+  });
+
+  it("POST /score follows the requested dialect", async () => {
+    const score = async (dialect) =>
+      (await request("/score", { method: "POST", body: { a: "car", b: "spa", dialect } })).body.tier;
+    assert.equal(await score("general-american"), null);
+    assert.equal(await score("uk-rp"), "perfect");
+  });
+
+  it("GET /rhymes/:word returns ranked rhymes", async () => {
+    const { status, body } = await request("/rhymes/time?limit=5&tier=perfect");
+    assert.equal(status, 200);
+    assert.equal(body.word, "TIME");
+    assert.equal(body.rhymes.length, 5);
+    assert.ok(body.rhymes.every((r) => r.tier === "perfect"));
+    assert.ok(body.rhymes.every((r, i) => i === 0 || body.rhymes[i - 1].score >= r.score));
+  });
+
+  it("GET /rhymes/:word filters by syllable count", async () => {
+    const { body } = await request("/rhymes/money?syllables=2&limit=10");
+    assert.ok(body.rhymes.length > 0);
+    assert.ok(body.rhymes.every((r) => r.syllables === 2));
+  });
+
+  it("rejects invalid input with a JSON error", async () => {
+    const cases = [
+      [await request("/score", { method: "POST", body: { a: "time" } }), 400],
+      [await request("/score", { method: "POST", body: "{not json" }), 400],
+      [await request("/analyze", { method: "POST", body: { text: "x", dialect: "klingon" } }), 400],
+      [await request("/rhymes/time?tier=legendary"), 400],
+      [await request("/rhymes/time?limit=0"), 400],
+      [await request("/rhymes/%3Cscript%3E"), 400],
+      [await request("/analyze"), 405],
+      [await request("/nowhere"), 404],
+    ];
+    cases.forEach(([response, status]) => {
+      assert.equal(response.status, status);
+      assert.equal(typeof response.body.error, "string");
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/* eslint-env node */
+// tests/cadence.test.js
+// Against a stand-in engine, no assets: npm run test:lib
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeCadence } from "../src/lib/cadence.js";
+
+// One syllable per word: "the" and "a" unstressed, every other word a hard attack
+const engine = {
+  analyzeWord: (word) => ({
+    phonemes: ["AH1"],
+    syllables: [{ stress: ["THE", "A"].includes(word) ? "L" : "H" }],
+  }),
+  getVowelFamilies: () => ["A"],
+};
+
+const bar = (syllables) => Array.from({ length: syllables }, () => "go").join(" ");
+
+describe("analyzeCadence", () => {
+  it("counts syllables and marks where the hard attacks land", () => {
+    const { lines } = analyzeCadence("the beat drops\na kick and the snare", engine);
+    assert.deepEqual(
+      lines.map(({ syllables, stressPattern, hardAttacks }) => [syllables, stressPattern, hardAttacks]),
+      [
+        [3, "LHH", [1, 2]],
+        [5, "LHHLH", [1, 2, 4]],
+      ]
+    );
+  });
+
+  it("flags a bar that strays from its neighbours, not the neighbours", () => {
+    const content = [bar(8), bar(8), bar(8), bar(16), bar(8), bar(8), bar(8), bar(3)].join("\n");
+    const { lines, flagged } = analyzeCadence(content, engine);
+    assert.deepEqual(
+      lines.map((line) => line.flag),
+      [null, null, null, "long", null, null, null, "short"]
+    );
+    assert.equal(flagged, 2);
+    assert.equal(lines[3].neighbourMedian, 8);
+    assert.equal(lines[3].deviation, 8);
+  });
+
+  it("only compares bars within a stanza", () => {
+    const { lines } = analyzeCadence(`${bar(4)}\n\n${bar(12)}`, engine);
+    assert.deepEqual(
+      lines.map((line) => [line.neighbourMedian, line.flag]),
+      [
+        [null, null],
+        [null, null],
+      ]
+    );
+  });
+
+  it("summarizes how even the bars are", () => {
+    const { mean, variance, stdDev } = analyzeCadence([bar(4), bar(8)].join("\n"), engine);
+    assert.equal(mean, 6);
+    assert.equal(variance, 4);
+    assert.equal(stdDev, 2);
+  });
+});
@@ -0,0 +1,79 @@
+/* eslint-env node */
+// tests/letterToSound.test.js
+// Pure rules, no assets: npm run test:lib
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { lettersToPhonemes } from "../src/lib/letterToSound.js";
+
+const spell = (word) => lettersToPhonemes(word).join(" ");
+
+describe("lettersToPhonemes", () => {
+  it("reads multi-letter graphemes before single letters", () => {
+    assert.equal(spell("knight"), "N AY1 T");
+    assert.equal(spell("daughter"), "D AO1 T ER0");
+    assert.equal(spell("through"), "TH R UW1");
+  });
+
+  it("lengthens a vowel before magic-e", () => {
+    assert.equal(spell("make"), "M EY1 K");
+    assert.equal(spell("hope"), "HH OW1 P");
+  });
+
+  it("softens c and g before a silent e", () => {
+    assert.equal(spell("face"), "F EY1 S");
+    assert.equal(spell("ice"), "AY1 S");
+    assert.equal(spell("juice"), "JH UW1 S");
+    assert.equal(spell("rage"), "R EY1 JH");
+    assert.equal(spell("cage"), "K EY1 JH");
+    assert.equal(spell("binge"), "B IH1 N JH");
+  });
+
+  it("gives a suffix's swallowed e back", () => {
+    assert.equal(spell("hoping"), "HH OW1 P IH0 NG");
+    assert.equal(spell("placing"), "P L EY1 S IH0 NG");
+    assert.equal(spell("raged"), "R EY1 JH D");
+  });
+
+  it("reads a final -le or -thm as its own syllable", () => {
+    assert.equal(spell("cycle"), "S AY1 K AH0 L");
+    assert.equal(spell("little"), "L IH1 T AH0 L");
+    assert.equal(spell("apple"), "AE1 P AH0 L");
+    assert.equal(spell("rhythm"), "R IH1 TH AH0 M");
+    assert.equal(spell("rhyme"), "R AY1 M");
+  });
+
+  it("voices the TH of function words only", () => {
+    assert.equal(spell("the"), "DH IY1");
+    assert.equal(spell("think"), "TH IH1 NG K");
+  });
+
+  it("sounds suffixes by the consonant before them", () => {
+    assert.equal(spell("flopped"), "F L AA1 P T");
+    assert.equal(spell("slayed"), "S L EY1 D");
+    assert.equal(spell("wanted"), "W AE1 N T IH0 D");
+    assert.equal(spell("kissed"), "K IH1 S T");
+    assert.equal(spell("rushed"), "R AH1 SH T");
+    assert.equal(spell("fished"), "F IH1 SH T");
+    assert.equal(spell("pitched"), "P IH1 CH T");
+    assert.equal(spell("raced"), "R EY1 S T");
+    assert.equal(spell("snacks"), "S N AE1 K S");
+    assert.equal(spell("glitches"), "G L IH1 CH IH0 Z");
+    assert.equal(spell("grinding"), "G R AY1 N D IH0 NG");
+  });
+
+  it("moves stress past unstressed prefixes", () => {
+    assert.equal(spell("replay"), "R AH0 P L EY1");
+    assert.equal(spell("contend"), "K AH0 N T EH1 N D");
+  });
+
+  it("stresses exactly one vowel", () => {
+    ["yeet", "skrrt", "drip", "bling", "glitches"].forEach((word) => {
+      assert.equal(lettersToPhonemes(word).filter((p) => p.endsWith("1")).length, 1, word);
+    });
+  });
+
+  it("returns nothing for words without letters", () => {
+    assert.deepEqual(lettersToPhonemes(""), []);
+    assert.deepEqual(lettersToPhonemes("24"), []);
+  });
+});
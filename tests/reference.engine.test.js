@@ -0,0 +1,177 @@
+/* eslint-env node */
+// tests/reference.engine.test.js
+// Registry behaviour against fixture providers, no network: npm run test:lib
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { ReferenceEngine } from "../src/lib/reference.engine.js";
+import { ReferenceCache } from "../src/lib/referenceCache.js";
+import {
+  ReferenceNetworkError,
+  createFixtureProvider,
+  merriamWebsterProvider,
+} from "../src/lib/referenceProviders.js";
+
+// A fixture provider whose lookups are counted and may be made to wait or fail
+function instrumented(entries, options, { before } = {}) {
+  const provider = createFixtureProvider(entries, options);
+  const calls = [];
+  Object.entries(provider.capabilities).forEach(([capability, lookup]) => {
+    provider.capabilities[capability] = async (word, config, context) => {
+      calls.push({ capability, word });
+      await before?.(context);
+      return lookup(word, config, context);
+    };
+  });
+  return { provider, calls };
+}
+
+describe("ReferenceEngine", () => {
+  beforeEach(() => {
+    ReferenceEngine.PROVIDERS.clear();
+    ReferenceEngine.CHAINS.clear();
+    ReferenceEngine.IN_FLIGHT.clear();
+    ReferenceEngine.BREAKERS.clear();
+    ReferenceEngine.KEY_PROBLEMS.clear();
+    ReferenceEngine.CACHE = new ReferenceCache({ persist: false });
+    // Failed lookups are logged; the tests check them directly
+    mock.method(console, "warn", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("asks providers by priority and falls through to the next answer", async () => {
+    ReferenceEngine.registerProvider(
+      createFixtureProvider({ time: { synonyms: ["tempo"] } }, { id: "low", name: "Low", priority: 1 })
+    );
+    ReferenceEngine.registerProvider(
+      createFixtureProvider({ time: { synonyms: ["era"] }, tide: { synonyms: [] } }, { id: "high", priority: 9 })
+    );
+
+    assert.deepEqual(ReferenceEngine.getChain("synonyms").map((p) => p.id), ["high", "low"]);
+    assert.deepEqual(await ReferenceEngine.getSynonyms("time"), ["era"]);
+    // An empty list is no answer, so the next provider is asked
+    assert.deepEqual(await ReferenceEngine.lookup("synonyms", "tide"), null);
+
+    ReferenceEngine.setFallbackChain("synonyms", ["low", "high"]);
+    const result = await ReferenceEngine.lookup("synonyms", "time");
+    assert.deepEqual(result, { provider: "low", source: "Low", value: ["tempo"] });
+  });
+
+  it("offers spellings only when no provider defines the word", async () => {
+    const { provider, calls } = instrumented({ tyme: { spellings: ["thyme", "time"] }, time: { spellings: ["tame"] } });
+    ReferenceEngine.registerProvider(provider);
+    ReferenceEngine.registerProvider(
+      createFixtureProvider({ time: { definition: { text: "a measure", partOfSpeech: "noun" } } }, { id: "defs" })
+    );
+
+    const unknown = await ReferenceEngine.fetchAll("tyme");
+    assert.equal(unknown.definition, null);
+    assert.deepEqual(unknown.spellings, ["thyme", "time"]);
+    assert.equal(unknown.sources.spellings, "Fixture");
+
+    const known = await ReferenceEngine.fetchAll("time");
+    assert.equal(known.definition.text, "a measure");
+    assert.deepEqual(known.spellings, []);
+    assert.deepEqual(calls.map((call) => call.word), ["tyme"]);
+  });
+
+  it("reads Merriam-Webster's spellings from the response it fetched for the definition", async () => {
+    const fetched = mock.method(globalThis, "fetch", async () => new Response(JSON.stringify(["thyme", "time"])));
+    ReferenceEngine.registerProvider(merriamWebsterProvider({ dictKey: "key" }));
+
+    const { definition, spellings } = await ReferenceEngine.fetchAll("tyme");
+    assert.equal(definition, null);
+    assert.deepEqual(spellings, ["thyme", "time"]);
+    assert.equal(fetched.mock.callCount(), 1);
+  });
+
+  it("shares a lookup in flight and answers repeats from the cache", async () => {
+    const { provider, calls } = instrumented({ time: { definition: { text: "a measure", partOfSpeech: "noun" } } });
+    ReferenceEngine.registerProvider(provider);
+
+    const [first, second] = await Promise.all([
+      ReferenceEngine.getDefinition("time"),
+      ReferenceEngine.getDefinition("TIME"),
+    ]);
+    assert.equal(first.text, "a measure");
+    assert.deepEqual(second, first);
+    assert.equal(calls.length, 1);
+
+    await ReferenceEngine.getDefinition("time");
+    await ReferenceEngine.getDefinition("nothing");
+    await ReferenceEngine.getDefinition("nothing");
+    assert.equal(calls.length, 2);
+  });
+
+  it("aborts a shared lookup once every caller has given up", async () => {
+    let providerSignal;
+    const { provider } = instrumented({ time: { rhymes: ["dime"] } }, {}, {
+      before: ({ signal }) =>
+        new Promise((resolve, reject) => {
+          providerSignal = signal;
+          signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+        }),
+    });
+    ReferenceEngine.registerProvider(provider);
+
+    const one = new AbortController();
+    const two = new AbortController();
+    const lookups = [
+      ReferenceEngine.getRhymes("time", { signal: one.signal }),
+      ReferenceEngine.getRhymes("time", { signal: two.signal }),
+    ];
+    await new Promise((resolve) => setImmediate(resolve));
+
+    one.abort(new Error("first gave up"));
+    await assert.rejects(lookups[0], /first gave up/);
+    assert.equal(providerSignal.aborted, false);
+
+    two.abort(new Error("second gave up"));
+    await assert.rejects(lookups[1], /second gave up/);
+    assert.equal(providerSignal.aborted, true);
+    assert.equal(ReferenceEngine.IN_FLIGHT.size, 0);
+  });
+
+  it("opens a failing provider's circuit and skips it until the cooldown", async () => {
+    const { provider, calls } = instrumented({ time: { etymology: "Old English tīma" } }, { id: "flaky" }, {
+      before: () => Promise.reject(new ReferenceNetworkError("Flaky", new TypeError("fetch failed"))),
+    });
+    ReferenceEngine.registerProvider(provider);
+    ReferenceEngine.registerProvider(
+      createFixtureProvider({ time: { etymology: "from tīma" } }, { id: "steady", priority: 0 })
+    );
+
+    for (let i = 0; i < 3; i++) {
+      ReferenceEngine.CACHE = new ReferenceCache({ persist: false });
+      assert.equal(await ReferenceEngine.getEtymology("time"), "from tīma");
+    }
+    // Each lookup is tried once and retried twice
+    assert.equal(calls.length, 9);
+    assert.equal(ReferenceEngine.isResting("flaky"), true);
+
+    ReferenceEngine.CACHE = new ReferenceCache({ persist: false });
+    assert.equal(await ReferenceEngine.getEtymology("time"), "from tīma");
+    assert.equal(calls.length, 9);
+
+    // Past the cooldown it is given one lookup again
+    ReferenceEngine.BREAKERS.get("flaky").openUntil = Date.now() - 1;
+    ReferenceEngine.CACHE = new ReferenceCache({ persist: false });
+    await ReferenceEngine.getEtymology("time");
+    assert.equal(calls.length, 12);
+    assert.equal(ReferenceEngine.isResting("flaky"), true);
+  });
+
+  it("neither retries nor rests a provider over an answer it cannot read", async () => {
+    const { provider, calls } = instrumented({ time: { etymology: "Old English tīma" } }, { id: "garbled" }, {
+      before: () => Promise.reject(new SyntaxError("Unexpected token < in JSON")),
+    });
+    ReferenceEngine.registerProvider(provider);
+
+    for (let i = 0; i < 3; i++) {
+      ReferenceEngine.CACHE = new ReferenceCache({ persist: false });
+      assert.equal(await ReferenceEngine.getEtymology("time"), null);
+    }
+    assert.equal(calls.length, 3);
+    assert.equal(ReferenceEngine.isResting("garbled"), false);
+  });
+});
@@ -0,0 +1,83 @@
+/* eslint-env node */
+// tests/rhymeScheme.test.js
+// Against a stand-in engine, no assets: npm run test:lib
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { classifyPattern, detectRhymeScheme, letterFor, splitBars } from "../src/lib/rhymeScheme.js";
+
+// Words rhyme perfectly when their last two letters match, else not at all
+const engine = {
+  scoreRhyme: (a, b) =>
+    a.slice(-2) === b.slice(-2) ? { score: 1, tier: "perfect" } : { score: 0.2, tier: null },
+};
+
+describe("splitBars", () => {
+  it("numbers stanzas across blank lines and keeps line indexes", () => {
+    const bars = splitBars("one line\ntwo lines\n\n\nthree times");
+    assert.deepEqual(
+      bars.map(({ index, stanza, endWord }) => [index, stanza, endWord]),
+      [
+        [0, 0, "LINE"],
+        [1, 0, "LINES"],
+        [4, 1, "TIMES"],
+      ]
+    );
+  });
+});
+
+describe("classifyPattern", () => {
+  it("names the common stanza patterns", () => {
+    assert.equal(classifyPattern("AAAA").id, "monorhyme");
+    assert.equal(classifyPattern("AABB").id, "couplets");
+    assert.equal(classifyPattern("ABAB").id, "alternating");
+    assert.equal(classifyPattern("ABBA").id, "enclosed");
+    assert.equal(classifyPattern("ABABCB").id, "chained");
+    assert.equal(classifyPattern("ABCA"), null);
+  });
+
+  it("wraps letters past the alphabet in both cases", () => {
+    assert.equal(letterFor(0), "A");
+    assert.equal(letterFor(26), "a");
+    assert.equal(letterFor(52), "A");
+  });
+});
+
+describe("detectRhymeScheme", () => {
+  it("letters end rhymes within each stanza", () => {
+    const content = [
+      "I keep it on time",
+      "you know the rhyme",
+      "we stay in line",
+      "watch the stars shine",
+      "",
+      "now a new start",
+      "straight from the heart",
+    ].join("\n");
+    const result = detectRhymeScheme(content, {}, engine);
+
+    assert.equal(result.scheme, "AABB AA");
+    assert.equal(result.stanzas[0].pattern.id, "couplets");
+    assert.deepEqual(
+      result.bars.map(({ tier, rhymesWith }) => [tier, rhymesWith]),
+      [
+        [null, null],
+        ["perfect", 0],
+        [null, null],
+        ["perfect", 2],
+        [null, null],
+        ["perfect", 5],
+      ]
+    );
+  });
+
+  it("reports three or more bars on one rhyme as a chain", () => {
+    const { chains } = detectRhymeScheme("the time\na dime\nthe crime\ngo now", {}, engine);
+    assert.deepEqual(chains, [{ letter: "A", start: 0, length: 3 }]);
+  });
+
+  it("only joins bars on the requested tiers", () => {
+    const nearEngine = { scoreRhyme: () => ({ score: 0.8, tier: "near" }) };
+    assert.equal(detectRhymeScheme("one\ntwo", {}, nearEngine).scheme, "AA");
+    assert.equal(detectRhymeScheme("one\ntwo", { tiers: ["perfect"] }, nearEngine).scheme, "AB");
+  });
+});
@@ -0,0 +1,103 @@
+/* eslint-env node */
+// tests/rhymeScoring.test.js
+// Real dictionary and rules, explicit phonemes, no lexicon: npm run test:lib
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { PhonemeEngine } from "../src/lib/phoneme.engine.js";
+import { createFileLoader } from "../src/lib/nodeAssets.js";
+
+const analyze = (phonemes) => PhonemeEngine.analyzePhonemes(phonemes.split(" "));
+const score = (a, b) => PhonemeEngine.scoreAnalyses(analyze(a), analyze(b));
+
+const TIME = "T AY1 M";
+const DIME = "D AY1 M";
+
+before(async () => {
+  const load = createFileLoader();
+  [PhonemeEngine.DICT_V2, PhonemeEngine.RULES_V2] = await Promise.all([
+    load("/phoneme_dictionary_v2.json"),
+    load("/rhyme_matching_rules_v2.json"),
+  ]);
+  PhonemeEngine.buildVowelAliases();
+});
+
+describe("analyzePhonemes", () => {
+  it("keys the rhyme on everything from the stressed vowel to the end", () => {
+    assert.equal(analyze(TIME).rhymeKey, "AY-M");
+    assert.equal(analyze("T AY1 M F R EY2 M").rhymeKey, "AY-MFR-EY-M");
+    assert.equal(analyze("S IY1").rhymeKey, "IY-open");
+  });
+});
+
+describe("scoreAnalyses", () => {
+  it("rates a shared stressed vowel and tail as perfect", () => {
+    assert.equal(score(TIME, DIME).score, 1);
+    assert.equal(score(TIME, DIME).tier, "perfect");
+    assert.equal(score("SH EY1 D IY0", "L EY1 D IY0").tier, "perfect");
+    assert.equal(score("HH OW0 T EH1 L", "M OW0 T EH1 L").tier, "perfect");
+  });
+
+  it("needs the whole tail for perfect, not just the stressed syllable", () => {
+    assert.equal(score(TIME, "T AY1 M F R EY2 M").tier, "assonance");
+    assert.equal(score(TIME, "D AY1 AH0 G R AE2 M").tier, "assonance");
+    assert.equal(score("SH EY1 D IY0", "SH EY1 D").tier, "slant");
+  });
+
+  it("scores stress alignment on where the stressed vowel sits", () => {
+    const offbeat = { ...analyze(DIME), phonemes: ["D", "AY1", "M", "AH0"] };
+    const result = PhonemeEngine.scoreAnalyses(analyze(TIME), offbeat);
+    assert.equal(score(TIME, DIME).breakdown.stress_alignment.match, 1);
+    assert.equal(result.breakdown.stress_alignment.match, 0);
+    assert.ok(result.score < score(TIME, DIME).score);
+  });
+
+  it("gives partial credit for related codas", () => {
+    assert.equal(score(TIME, "L AY1 N").tier, "slant");
+    assert.equal(score("B EH1 N D Z", "B EH1 T S").tier, "slant");
+  });
+});
+
+describe("dialect vowel aliases", () => {
+  before(async () => {
+    PhonemeEngine.DIALECT = await createFileLoader()("/dialects/southern-us.json");
+    PhonemeEngine.buildVowelAliases();
+  });
+
+  after(() => {
+    PhonemeEngine.DIALECT = null;
+    PhonemeEngine.buildVowelAliases();
+  });
+
+  it("merges vowels only next to the sounds the pack names", () => {
+    assert.equal(score("P IH1 N", "P EH1 N").tier, "perfect");
+    assert.notEqual(score("B IH1 T", "B EH1 T").tier, "perfect");
+    assert.equal(analyze("T AY1 M").vowelFamily, "A");
+    assert.equal(analyze("T AY1 T").vowelFamily, "AY");
+  });
+});
+
+describe("withDialect", () => {
+  after(() => PhonemeEngine.setDialect(null));
+
+  it("holds a job for another dialect until the running ones finish", async () => {
+    PhonemeEngine.loadAsset = createFileLoader();
+    let started;
+    let finish;
+    const running = new Promise((resolve) => (started = resolve));
+    const seen = [];
+    const southern = PhonemeEngine.withDialect("southern-us", async () => {
+      seen.push(PhonemeEngine.DIALECT.meta.id);
+      started();
+      await new Promise((resolve) => (finish = resolve));
+      seen.push(PhonemeEngine.DIALECT.meta.id);
+    });
+    const british = PhonemeEngine.withDialect("uk-rp", async () => seen.push(PhonemeEngine.DIALECT.meta.id));
+
+    await running;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(seen, ["southern-us"]);
+    finish();
+    await Promise.all([southern, british]);
+    assert.deepEqual(seen, ["southern-us", "southern-us", "uk-rp"]);
+  });
+});
@@ -0,0 +1,69 @@
+/* eslint-env node */
+// tests/textNormalizer.test.js
+// Pure rules, no assets: npm run test:lib
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeText, normalizeToken, numberToWords, tokenKey } from "../src/lib/textNormalizer.js";
+
+const say = (token) => normalizeToken(token).join(" ");
+
+describe("numberToWords", () => {
+  it("reads numbers by scale", () => {
+    assert.equal(numberToWords(24).join(" "), "TWENTY FOUR");
+    assert.equal(numberToWords(1999).join(" "), "ONE THOUSAND NINE HUNDRED NINETY NINE");
+    assert.equal(
+      numberToWords(1234567).join(" "),
+      "ONE MILLION TWO HUNDRED THIRTY FOUR THOUSAND FIVE HUNDRED SIXTY SEVEN"
+    );
+  });
+});
+
+describe("normalizeToken", () => {
+  it("reads four-digit numbers as years", () => {
+    assert.equal(say("1999"), "NINETEEN NINETY NINE");
+    assert.equal(say("2010"), "TWENTY TEN");
+    assert.equal(say("2000"), "TWO THOUSAND");
+  });
+
+  it("speaks ordinals, decades and decimals", () => {
+    assert.equal(say("3rd"), "THIRD");
+    assert.equal(say("12th"), "TWELFTH");
+    assert.equal(say("90s"), "NINETIES");
+    assert.equal(say("2.5"), "TWO POINT FIVE");
+    assert.equal(say("1,000"), "ONE THOUSAND");
+  });
+
+  it("speaks currency, percent and symbols", () => {
+    assert.equal(say("$100"), "ONE HUNDRED DOLLARS");
+    assert.equal(say("100%"), "ONE HUNDRED PERCENT");
+    assert.equal(say("&"), "AND");
+  });
+
+  it("splits hyphens, slashes and digits run into letters", () => {
+    assert.equal(say("ex-con"), "EX CON");
+    assert.equal(say("24/7"), "TWENTY FOUR SEVEN");
+    assert.equal(say("2Pac"), "TWO PAC");
+  });
+
+  it("keeps clipped apostrophes and strips quote marks", () => {
+    assert.equal(say("'em"), "'EM");
+    assert.equal(say("’cause"), "'CAUSE");
+    assert.equal(say("runnin'"), "RUNNIN'");
+    assert.equal(say('"word"'), "WORD");
+  });
+});
+
+describe("tokenKey", () => {
+  it("gives one spelling regardless of case and trailing punctuation", () => {
+    assert.equal(tokenKey("Runnin',"), tokenKey("runnin'"));
+  });
+});
+
+describe("normalizeText", () => {
+  it("keeps each token's offsets into the original text", () => {
+    assert.deepEqual(normalizeText("yo  24/7"), [
+      { text: "yo", start: 0, end: 2, words: ["YO"] },
+      { text: "24/7", start: 4, end: 8, words: ["TWENTY", "FOUR", "SEVEN"] },
+    ]);
+  });
+});